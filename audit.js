@@ -0,0 +1,293 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const whatsapp = require("./whatsapp");
+const phone = require("./phone");
+const { apiError } = require("./errors");
+const { settings } = require("./config");
+
+const AUDIT_DIR = path.join(whatsapp.SESSION_DATA_PATH, "audit");
+const CURRENT_FILE = path.join(AUDIT_DIR, "audit.jsonl");
+const FILE_PATTERN = /^audit(-[\dTZ-]+)?\.jsonl$/;
+const MAX_FILE_BYTES = settings.auditMaxFileBytes;
+const MAX_FILES = settings.auditMaxFiles;
+// 0 keeps only the hash.
+const PREVIEW_LENGTH = settings.auditPreviewLength;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+let currentSize = null;
+let pending = Promise.resolve();
+
+function hashMessage(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Stores the number the send actually went to when it parses, so searching
+// by "81 1785 8904" or "+528117858904" finds the same entries.
+function normalizeRecipient(to) {
+  if (to === undefined || to === null || to === "") return null;
+  try {
+    return phone.normalize(to).number;
+  } catch {
+    return String(to);
+  }
+}
+
+function describeMessage(text) {
+  if (typeof text !== "string" || text === "") return {};
+  const described = { messageHash: hashMessage(text) };
+  if (PREVIEW_LENGTH > 0) {
+    described.messagePreview =
+      text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+  }
+  return described;
+}
+
+async function rotate() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  await fs.rename(CURRENT_FILE, path.join(AUDIT_DIR, `audit-${stamp}.jsonl`));
+  currentSize = 0;
+
+  const rotated = (await fs.readdir(AUDIT_DIR))
+    .filter((f) => FILE_PATTERN.test(f) && f !== "audit.jsonl")
+    .sort()
+    .reverse();
+  for (const file of rotated.slice(MAX_FILES - 1)) {
+    await fs.unlink(path.join(AUDIT_DIR, file));
+  }
+}
+
+async function append(line) {
+  if (currentSize === null) {
+    await fs.mkdir(AUDIT_DIR, { recursive: true });
+    currentSize = await fs
+      .stat(CURRENT_FILE)
+      .then((s) => s.size)
+      .catch(() => 0);
+  }
+  const bytes = Buffer.byteLength(line);
+  if (currentSize > 0 && currentSize + bytes > MAX_FILE_BYTES) {
+    await rotate();
+  }
+  await fs.appendFile(CURRENT_FILE, line);
+  currentSize += bytes;
+}
+
+// Appends one entry. Writes are chained so lines never interleave, and a
+// failed write is logged rather than failing the request it describes.
+function record(entry) {
+  const line = `${JSON.stringify({
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    ...entry,
+  })}\n`;
+  pending = pending
+    .then(() => append(line))
+    .catch((err) => {
+      console.error("Failed to write audit log:", err.message);
+    });
+  return pending;
+}
+
+function outcomeOf(status) {
+  if (status < 400) return "success";
+  if (status === 401 || status === 403) return "denied";
+  return "failed";
+}
+
+// Middleware that records `action` once the response is sent: who called,
+// which route, the recipient and message (as a hash and a short preview)
+// when the body has them, and how it ended. Place it before `authorize` so
+// refused calls are recorded too.
+function middleware(action) {
+  return (req, res, next) => {
+    const startedAt = new Date();
+    let body = null;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.on("finish", () => {
+      const input = req.body || {};
+      const user = req.user || {};
+      record({
+        action,
+        subject: user.subject ?? null,
+        subjectType: user.type ?? null,
+        subjectName: user.name,
+        route: `${req.method} ${req.path}`,
+        sessionId: req.waSession?.id ?? req.params.sessionId ?? null,
+        ip: req.ip,
+        recipient: normalizeRecipient(
+          input.to ?? input.number ?? req.params.number
+        ),
+        ...describeMessage(input.message ?? input.caption),
+        template: input.template,
+        recipients: Array.isArray(input.recipients)
+          ? input.recipients.length
+          : undefined,
+        target:
+          req.params.id ??
+          req.params.name ??
+          req.params.groupId ??
+          (action.startsWith("session.") ? req.params.sessionId : undefined) ??
+          body?.schedule?.id ??
+          body?.id,
+        outcome: outcomeOf(res.statusCode),
+        status: res.statusCode,
+        code: body?.code,
+        jobId: body?.jobId ?? body?.job?.id,
+        messageId: body?.messageId,
+        batchId: body?.batchId,
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+      });
+    });
+
+    next();
+  };
+}
+
+// Records a call refused before its route ran: no token, a bad or expired
+// one, or an unknown or revoked API key.
+function authFailure(req, error) {
+  const status = error.status || 500;
+  return record({
+    action: "auth.failed",
+    route: `${req.method} ${req.path}`,
+    sessionId: req.params.sessionId ?? null,
+    ip: req.ip,
+    outcome: outcomeOf(status),
+    status,
+    code: error.code,
+  });
+}
+
+// Records a queued message once it is sent or has failed for good,
+// whatever queued it: an API call, a bulk send, a schedule or an
+// auto-reply (`job.origin`). Route entries say who asked for a send; these
+// say what actually went out.
+function recordSend(job) {
+  const origin = job.origin || {};
+  return record({
+    action: "send.job",
+    subject: origin.subject ?? null,
+    subjectType: origin.subjectType ?? "system",
+    subjectName: origin.subjectName,
+    source: origin.type ?? null,
+    sourceId: origin.id,
+    sessionId: job.sessionId,
+    recipient: normalizeRecipient(job.to),
+    ...describeMessage(job.message),
+    outcome: job.status === "sent" ? "success" : "failed",
+    code: job.error?.code,
+    jobId: job.id,
+    messageId: job.messageId,
+    batchId: job.batchId ?? undefined,
+    attempts: job.attempts,
+  });
+}
+
+function parseDate(value, field) {
+  if (value === undefined) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw apiError("INVALID_REQUEST", { reason: "AUDIT_DATE", field });
+  }
+  return time;
+}
+
+function matches(entry, filters) {
+  const time = Date.parse(entry.at);
+  if (filters.since !== null && time < filters.since) return false;
+  if (filters.until !== null && time > filters.until) return false;
+  if (
+    filters.user &&
+    entry.subject !== filters.user &&
+    entry.subjectName !== filters.user
+  ) {
+    return false;
+  }
+  if (filters.recipient && entry.recipient !== filters.recipient) return false;
+  if (filters.sessionId && entry.sessionId !== filters.sessionId) return false;
+  if (filters.outcome && entry.outcome !== filters.outcome) return false;
+  // "send" matches "send.message", "send.bulk", ...
+  if (
+    filters.action &&
+    entry.action !== filters.action &&
+    !entry.action.startsWith(`${filters.action}.`)
+  ) {
+    return false;
+  }
+  return true;
+}
+
+// Newest first. Reads the current file, then rotated ones, until `limit`
+// entries match.
+async function query(params = {}) {
+  const filters = {
+    user: params.user,
+    recipient: params.recipient ? normalizeRecipient(params.recipient) : null,
+    action: params.action,
+    sessionId: params.sessionId,
+    outcome: params.outcome,
+    since: parseDate(params.since, "since"),
+    until: parseDate(params.until, "until"),
+  };
+  const limit = Math.min(
+    parseInt(params.limit, 10) || DEFAULT_LIMIT,
+    MAX_LIMIT
+  );
+
+  await pending;
+  let files;
+  try {
+    files = (await fs.readdir(AUDIT_DIR)).filter((f) => FILE_PATTERN.test(f));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  // "audit.jsonl" sorts after "audit-<timestamp>.jsonl", so this puts the
+  // current file first and rotated files newest first.
+  files.sort().reverse();
+
+  const results = [];
+  for (const file of files) {
+    const lines = (await fs.readFile(path.join(AUDIT_DIR, file), "utf8"))
+      .split("\n")
+      .filter(Boolean)
+      .reverse();
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (filters.since !== null && Date.parse(entry.at) < filters.since) {
+        return results;
+      }
+      if (!matches(entry, filters)) continue;
+      results.push(entry);
+      if (results.length >= limit) return results;
+    }
+  }
+  return results;
+}
+
+function flush() {
+  return pending;
+}
+
+module.exports = {
+  MAX_LIMIT,
+  record,
+  middleware,
+  authFailure,
+  recordSend,
+  query,
+  flush,
+};
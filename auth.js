@@ -0,0 +1,251 @@
+const crypto = require("crypto");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const whatsapp = require("./whatsapp");
+const { createJsonStore } = require("./store");
+const { apiError } = require("./errors");
+const { settings } = require("./config");
+
+const AUTH_SECRET = settings.authSecret;
+const REQUIRE_AUTH = settings.requireAuth;
+
+// read: status, reports, inbox and lookups. send: messages, bulk sends and
+// schedules. templates: manage templates. admin: everything, including
+// pairing, logout, sessions, webhooks and API keys.
+const SCOPES = ["read", "send", "templates", "admin"];
+const ROLES = {
+  viewer: ["read"],
+  sender: ["read", "send"],
+  operator: ["read", "send", "templates"],
+  admin: ["admin"],
+};
+
+// Role for JWTs that carry neither `role` nor `scopes`, i.e. every token the
+// NextJS app issued before roles existed.
+const DEFAULT_ROLE = settings.authDefaultRole;
+
+const KEY_PREFIX = "wak_";
+const KEY_PATTERN = /^wak_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+const MAX_NAME_LENGTH = 100;
+const LAST_USED_PRECISION = 60 * 1000;
+
+const store = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "api-keys.json"),
+  { keys: [] }
+);
+
+function hash(secret) {
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+function toView(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    role: key.role,
+    scopes: key.scopes,
+    prefix: `${KEY_PREFIX}${key.id}_`,
+    createdAt: key.createdAt,
+    expiresAt: key.expiresAt,
+    lastUsedAt: key.lastUsedAt,
+    revokedAt: key.revokedAt,
+  };
+}
+
+// A `scopes` list (or an OAuth-style space-separated `scope`) wins over a
+// `role`; unknown scopes are dropped.
+function scopesOf({ scopes, scope, role }) {
+  const listed =
+    scopes ?? (typeof scope === "string" ? scope.split(" ") : null);
+  if (Array.isArray(listed)) return listed.filter((s) => SCOPES.includes(s));
+  return ROLES[role ?? DEFAULT_ROLE] || [];
+}
+
+function hasScope(principal, scope) {
+  return principal.scopes.includes("admin") || principal.scopes.includes(scope);
+}
+
+function verifyToken(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, AUTH_SECRET);
+  } catch (error) {
+    throw apiError(
+      error.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "TOKEN_INVALID"
+    );
+  }
+
+  return {
+    type: "token",
+    subject: claims.sub ?? claims.email ?? null,
+    role: claims.role ?? null,
+    scopes: scopesOf(claims),
+    claims,
+  };
+}
+
+async function verifyApiKey(value) {
+  const match = value.match(KEY_PATTERN);
+  const data = await store.load();
+  const key = match && data.keys.find((k) => k.id === match[1]);
+
+  if (
+    !key ||
+    !crypto.timingSafeEqual(hash(match[2]), Buffer.from(key.hash, "hex")) ||
+    key.revokedAt ||
+    (key.expiresAt && Date.parse(key.expiresAt) <= Date.now())
+  ) {
+    throw apiError("API_KEY_INVALID");
+  }
+
+  // Writing on every request would rewrite the file constantly; minute
+  // precision is plenty to spot unused keys.
+  const now = Date.now();
+  if (
+    !key.lastUsedAt ||
+    now - Date.parse(key.lastUsedAt) > LAST_USED_PRECISION
+  ) {
+    key.lastUsedAt = new Date(now).toISOString();
+    store.save();
+  }
+
+  return {
+    type: "api_key",
+    subject: key.id,
+    name: key.name,
+    role: key.role,
+    scopes: key.scopes,
+  };
+}
+
+// Identifies the caller from an `X-API-Key` header, or from a JWT (or API
+// key) in the `token` header, `token` cookie or `Authorization: Bearer`.
+// Without AUTH_SECRET every caller is an anonymous admin.
+async function authenticate(req) {
+  if (!AUTH_SECRET) {
+    return { type: "anonymous", subject: null, role: "admin", scopes: SCOPES };
+  }
+
+  const apiKey = req.headers["x-api-key"];
+  const token =
+    apiKey ||
+    req.headers.token ||
+    req.cookies.token ||
+    req.headers.authorization?.replace("Bearer ", "");
+
+  if (!token) throw apiError("AUTH_REQUIRED");
+  if (apiKey || token.startsWith(KEY_PREFIX)) return verifyApiKey(token);
+  return verifyToken(token);
+}
+
+// Refuses to start an unauthenticated server where REQUIRE_AUTH asks for
+// it (by default when NODE_ENV=production).
+function checkConfig() {
+  if (AUTH_SECRET) {
+    console.log("✓ Authentication enabled");
+    if (DEFAULT_ROLE === "admin") {
+      console.warn(
+        "⚠ AUTH_DEFAULT_ROLE=admin — JWTs without a role or scopes claim can log out and remove sessions. Issue tokens with a role and drop this setting."
+      );
+    }
+    return;
+  }
+  if (REQUIRE_AUTH) {
+    console.error(
+      "✗ AUTH_SECRET not set and REQUIRE_AUTH is on — refusing to start without authentication"
+    );
+    process.exit(1);
+  }
+  console.warn("⚠ AUTH_SECRET not set — authentication disabled (dev mode)");
+}
+
+function validateKey({ name, role, scopes, expiresInDays }) {
+  if (
+    typeof name !== "string" ||
+    name.trim() === "" ||
+    name.length > MAX_NAME_LENGTH
+  ) {
+    throw apiError("INVALID_API_KEY", { reason: "NAME" });
+  }
+  if (role !== undefined && !ROLES[role]) {
+    throw apiError("INVALID_API_KEY", {
+      reason: "ROLE",
+      role,
+      roles: Object.keys(ROLES),
+    });
+  }
+  if (
+    scopes !== undefined &&
+    (!Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((s) => !SCOPES.includes(s)))
+  ) {
+    throw apiError("INVALID_API_KEY", { reason: "SCOPES", scopes: SCOPES });
+  }
+  if (
+    expiresInDays !== undefined &&
+    expiresInDays !== null &&
+    !(Number.isInteger(expiresInDays) && expiresInDays > 0)
+  ) {
+    throw apiError("INVALID_API_KEY", { reason: "EXPIRES" });
+  }
+}
+
+async function listKeys() {
+  const data = await store.load();
+  return data.keys.map(toView);
+}
+
+// Only a hash of the secret is stored, so the full key is returned once,
+// here, and cannot be recovered later.
+async function createKey(input) {
+  validateKey(input);
+
+  const id = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  const key = {
+    id,
+    name: input.name.trim(),
+    role: input.scopes ? null : input.role || "sender",
+    scopes: input.scopes || ROLES[input.role || "sender"],
+    hash: hash(secret).toString("hex"),
+    createdAt: now.toISOString(),
+    expiresAt: input.expiresInDays
+      ? new Date(now.getTime() + input.expiresInDays * 86400000).toISOString()
+      : null,
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+
+  const data = await store.load();
+  data.keys.push(key);
+  await store.save();
+  return { ...toView(key), key: `${KEY_PREFIX}${id}_${secret}` };
+}
+
+// Revoked keys stay listed so their names and usage remain visible.
+async function revokeKey(id) {
+  const data = await store.load();
+  const key = data.keys.find((k) => k.id === id);
+  if (!key) throw apiError("API_KEY_NOT_FOUND");
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    await store.save();
+  }
+  return toView(key);
+}
+
+module.exports = {
+  AUTH_SECRET,
+  SCOPES,
+  ROLES,
+  DEFAULT_ROLE,
+  authenticate,
+  hasScope,
+  checkConfig,
+  listKeys,
+  createKey,
+  revokeKey,
+};
@@ -0,0 +1,583 @@
+const crypto = require("crypto");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { DateTime, IANAZone } = require("luxon");
+const safeRegex = require("safe-regex");
+const whatsapp = require("./whatsapp");
+const queue = require("./queue");
+const templates = require("./templates");
+const optOuts = require("./optouts");
+const phone = require("./phone");
+const { createJsonStore } = require("./store");
+const errors = require("./errors");
+const { settings } = require("./config");
+
+const DEFAULT_TIMEZONE = settings.scheduleTimezone;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const DEFAULT_PRIORITY = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_PATTERN_LENGTH = 500;
+const STATE_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const SAVE_DELAY = 1000;
+
+const store = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "autoreplies.json"),
+  // cooldowns: when each rule last answered each chat. states: the state
+  // rules with `setState` left each chat in.
+  { rules: [], cooldowns: {}, states: {} }
+);
+
+// "auto_reply" whenever a rule fires, for webhooks.
+const events = new EventEmitter();
+
+// Compiled `match.regex` patterns, so each one is built once rather than
+// for every incoming message.
+const compiled = new Map();
+
+// Chats a rule is answering right now. The cooldown is only recorded once
+// the reply is queued, so this keeps a second message that arrives in the
+// meantime from getting its own reply.
+const firing = new Set();
+
+let saveTimer = null;
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    store.save();
+  }, SAVE_DELAY);
+}
+
+function invalid(reason, params) {
+  return errors.apiError("INVALID_AUTO_REPLY", { reason, ...params });
+}
+
+// Keyword text without case, accents or punctuation, with single spaces,
+// so "¡Confirmar!" matches "confirmar" and phrases match word by word.
+function words(text) {
+  return ` ${optOuts
+    .fold(text)
+    .replace(/[\p{P}\s]+/gu, " ")
+    .trim()} `;
+}
+
+function toView(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    enabled: rule.enabled,
+    priority: rule.priority,
+    sessionId: rule.sessionId,
+    match: rule.match,
+    hours: rule.hours,
+    whenState: rule.whenState,
+    cooldownMinutes: rule.cooldownMinutes,
+    reply: rule.reply,
+    webhook: rule.webhook,
+    setState: rule.setState,
+    fired: rule.fired,
+    lastFiredAt: rule.lastFiredAt,
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt,
+  };
+}
+
+function validateMatch(match) {
+  if (typeof match !== "object" || match === null) throw invalid("MATCH");
+  const { keywords, regex, contains } = match;
+  if ((keywords == null) === (regex == null)) throw invalid("MATCH");
+
+  if (keywords != null) {
+    if (
+      !Array.isArray(keywords) ||
+      keywords.length === 0 ||
+      keywords.some((k) => typeof k !== "string" || words(k).trim() === "")
+    ) {
+      throw invalid("KEYWORDS");
+    }
+    return { keywords, contains: Boolean(contains), regex: null };
+  }
+
+  if (typeof regex !== "string" || regex.length > MAX_PATTERN_LENGTH) {
+    throw invalid("REGEX", { max: MAX_PATTERN_LENGTH });
+  }
+  let pattern;
+  try {
+    pattern = new RegExp(regex, "iu");
+  } catch (err) {
+    throw errors.apiError(
+      "INVALID_AUTO_REPLY",
+      { reason: "REGEX", max: MAX_PATTERN_LENGTH },
+      { error: err.message }
+    );
+  }
+  // Patterns run on the event loop for every incoming message, so one
+  // that can backtrack catastrophically, like "(a+)+$", would freeze every
+  // session.
+  if (!safeRegex(pattern)) throw invalid("UNSAFE_REGEX");
+  compiled.set(regex, pattern);
+  return { keywords: null, contains: false, regex };
+}
+
+function compile(regex) {
+  if (!compiled.has(regex)) compiled.set(regex, new RegExp(regex, "iu"));
+  return compiled.get(regex);
+}
+
+// `days` are ISO weekdays (1 = Monday). A `from` later than `to` spans
+// midnight. With `outside`, the rule fires outside these hours instead.
+function validateHours(hours) {
+  if (hours === null || hours === undefined) return null;
+  if (typeof hours !== "object") throw invalid("HOURS");
+
+  const days = hours.days ?? [1, 2, 3, 4, 5, 6, 7];
+  if (
+    !Array.isArray(days) ||
+    days.length === 0 ||
+    days.some((d) => !Number.isInteger(d) || d < 1 || d > 7)
+  ) {
+    throw invalid("DAYS");
+  }
+  if (!TIME_PATTERN.test(hours.from) || !TIME_PATTERN.test(hours.to)) {
+    throw invalid("TIME");
+  }
+  const timezone = hours.timezone || DEFAULT_TIMEZONE;
+  if (!IANAZone.isValidZone(timezone)) {
+    throw invalid("TIMEZONE", { timezone });
+  }
+
+  return {
+    days: [...new Set(days)].sort(),
+    from: hours.from,
+    to: hours.to,
+    timezone,
+    outside: Boolean(hours.outside),
+  };
+}
+
+function validateState(state, reason) {
+  if (state === null || state === undefined) return null;
+  if (typeof state !== "string" || !STATE_PATTERN.test(state)) {
+    throw invalid(reason);
+  }
+  return state;
+}
+
+async function validateReply(reply) {
+  if (reply === null || reply === undefined) return null;
+  if (typeof reply !== "object") throw invalid("REPLY");
+
+  const { message, template, locale, variables } = reply;
+  if (Boolean(message) === Boolean(template)) throw invalid("REPLY");
+  if (message && typeof message !== "string") throw invalid("REPLY");
+  if (variables != null && typeof variables !== "object") {
+    throw errors.apiError("INVALID_TEMPLATE", { reason: "VARIABLES" });
+  }
+  if (template && !(await templates.get(template))) {
+    throw errors.apiError("TEMPLATE_NOT_FOUND", { name: template });
+  }
+
+  return template
+    ? {
+        message: null,
+        template,
+        locale: locale || null,
+        variables: variables || null,
+      }
+    : { message, template: null, locale: null, variables: null };
+}
+
+// Validates a whole rule definition, as sent to POST or merged for PUT.
+async function validate(input) {
+  const { name, enabled, priority, sessionId, cooldownMinutes, webhook } =
+    input;
+
+  if (
+    typeof name !== "string" ||
+    name.trim() === "" ||
+    name.length > MAX_NAME_LENGTH
+  ) {
+    throw invalid("NAME", { max: MAX_NAME_LENGTH });
+  }
+  if (!Number.isInteger(priority)) throw invalid("PRIORITY");
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0) {
+    throw invalid("COOLDOWN");
+  }
+  if (sessionId !== null && typeof sessionId !== "string") {
+    throw invalid("SESSION");
+  }
+
+  const rule = {
+    name: name.trim(),
+    enabled: enabled !== false,
+    priority,
+    sessionId,
+    match: validateMatch(input.match),
+    hours: validateHours(input.hours),
+    whenState: validateState(input.whenState, "WHEN_STATE"),
+    cooldownMinutes,
+    reply: await validateReply(input.reply),
+    webhook: Boolean(webhook),
+    setState: validateState(input.setState, "SET_STATE"),
+  };
+  if (!rule.reply && !rule.webhook && !rule.setState) {
+    throw invalid("ACTION");
+  }
+  return rule;
+}
+
+function matches(match, body) {
+  if (match.regex) return compile(match.regex).test(body);
+  const text = words(body);
+  return match.keywords.some((keyword) =>
+    match.contains ? text.includes(words(keyword)) : text === words(keyword)
+  );
+}
+
+function withinHours(hours, at) {
+  const local = DateTime.fromJSDate(at, { zone: hours.timezone });
+  const time = local.toFormat("HH:mm");
+  let inside;
+  if (hours.from <= hours.to) {
+    inside =
+      hours.days.includes(local.weekday) &&
+      time >= hours.from &&
+      time < hours.to;
+  } else {
+    // After midnight, the hours belong to the day they started on.
+    const startDay = time < hours.to ? local.minus({ days: 1 }) : local;
+    inside =
+      hours.days.includes(startDay.weekday) &&
+      (time >= hours.from || time < hours.to);
+  }
+  return hours.outside ? !inside : inside;
+}
+
+function cooldownKey(rule, sessionId, chatId) {
+  return `${rule.id}|${sessionId}|${chatId}`;
+}
+
+function stateOf(data, sessionId, chatId) {
+  const entry = (data.states[sessionId] || {})[chatId];
+  return entry ? entry.state : null;
+}
+
+// Goes through the rules by priority and returns the first whose match
+// and conditions hold, with the reason each earlier one was skipped. A
+// matching rule that is cooling down for the chat stops the search, so a
+// broader rule does not answer in its place.
+function evaluate(data, { sessionId, chatId, body, at, state }) {
+  const trace = [];
+  const ordered = [...data.rules].sort(
+    (a, b) => a.priority - b.priority || a.createdAt.localeCompare(b.createdAt)
+  );
+
+  for (const rule of ordered) {
+    const skip = (reason) =>
+      trace.push({ id: rule.id, name: rule.name, reason });
+
+    if (!rule.enabled) skip("DISABLED");
+    else if (rule.sessionId && rule.sessionId !== sessionId) skip("SESSION");
+    else if (!matches(rule.match, body)) skip("NO_MATCH");
+    else if (rule.hours && !withinHours(rule.hours, at)) skip("HOURS");
+    else if (rule.whenState && rule.whenState !== state) skip("STATE");
+    else {
+      const last = data.cooldowns[cooldownKey(rule, sessionId, chatId)];
+      const until = last ? last + rule.cooldownMinutes * 60 * 1000 : 0;
+      if (until > at.getTime()) {
+        trace.push({
+          id: rule.id,
+          name: rule.name,
+          reason: "COOLDOWN",
+          cooldownUntil: new Date(until).toISOString(),
+        });
+        return { rule: null, trace };
+      }
+      trace.push({ id: rule.id, name: rule.name, reason: "FIRED" });
+      return { rule, trace };
+    }
+  }
+  return { rule: null, trace };
+}
+
+// `name` (the sender's WhatsApp name) and `number` are available to
+// template replies alongside the rule's own variables.
+async function renderReply(reply, { name, number }) {
+  if (!reply.template) return reply.message;
+  const rendered = await templates.render(reply.template, {
+    locale: reply.locale,
+    variables: { name, number, ...reply.variables },
+  });
+  return rendered.message;
+}
+
+// Called once the rule has done its work, so a reply that could not be
+// queued does not silence the rule for the chat.
+function record(data, rule, sessionId, chatId) {
+  const now = new Date();
+  data.cooldowns[cooldownKey(rule, sessionId, chatId)] = now.getTime();
+  rule.fired++;
+  rule.lastFiredAt = now.toISOString();
+  if (rule.setState) {
+    if (!data.states[sessionId]) data.states[sessionId] = {};
+    data.states[sessionId][chatId] = {
+      state: rule.setState,
+      ruleId: rule.id,
+      updatedAt: now.toISOString(),
+    };
+  }
+  scheduleSave();
+}
+
+async function fire(rule, { sessionId, chatId, number, name, body }) {
+  let jobId = null;
+  if (rule.reply && number) {
+    const job = await queue.enqueue({
+      sessionId,
+      to: number,
+      message: await renderReply(rule.reply, { name, number }),
+      origin: { type: "auto_reply", id: rule.id },
+    });
+    jobId = job.id;
+  }
+
+  if (rule.webhook) {
+    events.emit("auto_reply", {
+      sessionId,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      chatId,
+      number,
+      body,
+      state: rule.setState,
+      jobId,
+    });
+  }
+}
+
+async function handleMessage(sessionId, msg) {
+  if (msg.fromMe || !msg.body) return;
+  if (msg.from.endsWith("@g.us") || msg.from === "status@broadcast") return;
+  // An opt-out gets no answer.
+  if (optOuts.isKeyword(msg.body)) return;
+
+  const data = await store.load();
+  const chatId = msg.from;
+  const { rule } = evaluate(data, {
+    sessionId,
+    chatId,
+    body: msg.body,
+    at: new Date(),
+    state: stateOf(data, sessionId, chatId),
+  });
+  if (!rule) return;
+  // No await since evaluate, so this check and the add below cannot
+  // interleave with another message's.
+  const key = cooldownKey(rule, sessionId, chatId);
+  if (firing.has(key)) return;
+  firing.add(key);
+
+  try {
+    // Normalized like any recipient, so the reply is checked against the
+    // opt-out list under the same number.
+    let number = null;
+    try {
+      const sender = await whatsapp.senderNumber(msg);
+      if (sender) number = phone.normalize(sender).number;
+    } catch {
+      // Not a number we can reply to; webhooks and states still apply
+    }
+
+    await fire(rule, {
+      sessionId,
+      chatId,
+      number,
+      name: msg._data.notifyName || null,
+      body: msg.body,
+    });
+    record(data, rule, sessionId, chatId);
+  } finally {
+    firing.delete(key);
+  }
+  console.log(`[${sessionId}] Auto-reply "${rule.name}" fired for ${chatId}`);
+}
+
+async function start() {
+  const data = await store.load();
+
+  // Cooldowns that have run out are no longer needed.
+  const longest = Math.max(0, ...data.rules.map((r) => r.cooldownMinutes));
+  const cutoff = Date.now() - longest * 60 * 1000;
+  for (const [key, firedAt] of Object.entries(data.cooldowns)) {
+    if (firedAt < cutoff) delete data.cooldowns[key];
+  }
+
+  // Rules saved before unsafe patterns were refused stay, but disabled.
+  for (const rule of data.rules) {
+    if (
+      rule.enabled &&
+      rule.match.regex &&
+      !safeRegex(compile(rule.match.regex))
+    ) {
+      rule.enabled = false;
+      console.warn(
+        `⚠ Auto-reply "${rule.name}" disabled: its regex could backtrack catastrophically`
+      );
+      scheduleSave();
+    }
+  }
+
+  whatsapp.events.on("message", (sessionId, msg) => {
+    handleMessage(sessionId, msg).catch((err) => {
+      if (err.code === "RECIPIENT_OPTED_OUT") return;
+      console.error(`[${sessionId}] Error in auto-reply:`, err.message);
+    });
+  });
+
+  const enabled = data.rules.filter((r) => r.enabled).length;
+  console.log(`✓ Auto-replies loaded (${enabled} enabled rule(s))`);
+}
+
+async function find(id) {
+  const data = await store.load();
+  const rule = data.rules.find((r) => r.id === id);
+  if (!rule) throw errors.apiError("AUTO_REPLY_NOT_FOUND", { id });
+  return rule;
+}
+
+async function list() {
+  const data = await store.load();
+  return data.rules.map(toView);
+}
+
+async function get(id) {
+  return toView(await find(id));
+}
+
+async function create(input) {
+  const rule = await validate({
+    ...input,
+    priority: input.priority ?? DEFAULT_PRIORITY,
+    sessionId: input.sessionId ?? null,
+    cooldownMinutes: input.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES,
+  });
+
+  const now = new Date().toISOString();
+  Object.assign(rule, {
+    id: crypto.randomUUID(),
+    fired: 0,
+    lastFiredAt: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  const data = await store.load();
+  data.rules.push(rule);
+  await store.save();
+  return toView(rule);
+}
+
+// Fields left out keep their current value; `null` clears the optional
+// ones (hours, whenState, reply, setState, sessionId).
+async function update(id, changes) {
+  const rule = await find(id);
+  const next = await validate({ ...rule, ...changes });
+
+  Object.assign(rule, next, { updatedAt: new Date().toISOString() });
+  await store.save();
+  return toView(rule);
+}
+
+async function remove(id) {
+  const data = await store.load();
+  const index = data.rules.findIndex((r) => r.id === id);
+  if (index === -1) throw errors.apiError("AUTO_REPLY_NOT_FOUND", { id });
+
+  const [rule] = data.rules.splice(index, 1);
+  for (const key of Object.keys(data.cooldowns)) {
+    if (key.startsWith(`${rule.id}|`)) delete data.cooldowns[key];
+  }
+  await store.save();
+  return toView(rule);
+}
+
+// Dry run for a sample message: which rule would fire, why the others
+// would not, and the reply it would send. Nothing is sent or recorded.
+// Without `chatId` cooldowns and chat state are ignored; `at` (ISO time)
+// tests business hours.
+async function test({ message, sessionId, chatId, at, state, name, number }) {
+  if (typeof message !== "string" || message === "") {
+    throw errors.apiError("MISSING_FIELDS", { fields: ["message"] });
+  }
+  const time = at ? new Date(at) : new Date();
+  if (Number.isNaN(time.getTime())) {
+    throw errors.apiError("INVALID_REQUEST", { reason: "TEST_TIME" });
+  }
+
+  const data = await store.load();
+  const optedOutKeyword = optOuts.isKeyword(message);
+  const { rule, trace } = optedOutKeyword
+    ? { rule: null, trace: [] }
+    : evaluate(chatId ? data : { ...data, cooldowns: {} }, {
+        sessionId: sessionId || null,
+        chatId: chatId || null,
+        body: message,
+        at: time,
+        state:
+          state !== undefined
+            ? state
+            : chatId
+              ? stateOf(data, sessionId, chatId)
+              : null,
+      });
+
+  return {
+    optOutKeyword: optedOutKeyword,
+    rule: rule ? toView(rule) : null,
+    reply:
+      rule && rule.reply
+        ? await renderReply(rule.reply, {
+            name: name || null,
+            number: number || null,
+          })
+        : null,
+    trace,
+  };
+}
+
+// Chat states set by rules, per session.
+async function states({ sessionId } = {}) {
+  const data = await store.load();
+  return Object.entries(data.states)
+    .filter(([id]) => !sessionId || id === sessionId)
+    .flatMap(([id, chats]) =>
+      Object.entries(chats).map(([chatId, entry]) => ({
+        sessionId: id,
+        chatId,
+        ...entry,
+      }))
+    );
+}
+
+async function flush() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    await store.save();
+  }
+}
+
+module.exports = {
+  events,
+  start,
+  list,
+  get,
+  create,
+  update,
+  remove,
+  test,
+  states,
+  flush,
+};
@@ -0,0 +1,324 @@
+const crypto = require("crypto");
+const path = require("path");
+const whatsapp = require("./whatsapp");
+const queue = require("./queue");
+const sessions = require("./sessions");
+const templates = require("./templates");
+const { createJsonStore } = require("./store");
+const phone = require("./phone");
+const optOuts = require("./optouts");
+const errors = require("./errors");
+const { resolveChatId } = require("./send");
+const { settings } = require("./config");
+
+const MAX_RECIPIENTS = 1000;
+const PACING_INTERVAL = settings.bulkIntervalMs;
+const PACING_JITTER = settings.bulkJitterMs;
+const RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+const store = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "batches.json"),
+  { batches: [] }
+);
+
+function summarize(batch) {
+  const counts = {};
+  for (const r of batch.recipients) {
+    counts[r.status] = (counts[r.status] || 0) + 1;
+  }
+  return counts;
+}
+
+function toView(batch) {
+  return {
+    id: batch.id,
+    sessionId: batch.sessionId,
+    template: batch.template,
+    status: batch.recipients.some((r) =>
+      ["validating", "queued"].includes(r.status)
+    )
+      ? "in_progress"
+      : "completed",
+    total: batch.recipients.length,
+    summary: summarize(batch),
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt,
+    // `message` is only kept until the recipient is queued.
+    recipients: batch.recipients.map(({ message, ...recipient }) => recipient),
+  };
+}
+
+async function onJobSettled(job) {
+  if (!job.batchId) return;
+
+  const data = await store.load();
+  const batch = data.batches.find((b) => b.id === job.batchId);
+  if (!batch) return;
+
+  const recipient = batch.recipients.find((r) => r.jobId === job.id);
+  if (!recipient) return;
+
+  if (job.status === "sent") {
+    recipient.status = "sent";
+    recipient.messageId = job.messageId;
+    recipient.chatId = job.chatId;
+  } else {
+    recipient.status =
+      job.error.code === "NOT_ON_WHATSAPP"
+        ? "no_whatsapp"
+        : job.error.code === "RECIPIENT_OPTED_OUT"
+          ? "opted_out"
+          : "failed";
+    recipient.code = job.error.code;
+    recipient.error = job.error.message;
+  }
+  batch.updatedAt = new Date().toISOString();
+  await store.save();
+}
+
+// Validation runs in the background, so a recipient it could not finish
+// is failed rather than left "validating" and its batch in progress.
+async function failValidating(batch, code, detail) {
+  for (const recipient of batch.recipients) {
+    if (recipient.status !== "validating") continue;
+    recipient.status = "failed";
+    recipient.code = code;
+    recipient.error = detail || errors.format(code);
+    delete recipient.message;
+  }
+  batch.updatedAt = new Date().toISOString();
+  await store.save();
+}
+
+function validateInBackground(batch, session) {
+  validateAndQueue(batch, session).catch(async (err) => {
+    console.error(`Error processing bulk batch ${batch.id}:`, err.message);
+    try {
+      await failValidating(batch, "INTERNAL_ERROR", err.message);
+    } catch (saveErr) {
+      console.error(
+        `Could not update bulk batch ${batch.id}:`,
+        saveErr.message
+      );
+    }
+  });
+}
+
+async function start() {
+  queue.events.on("settled", (job) => {
+    onJobSettled(job).catch((err) => {
+      console.error("Error updating bulk batch:", err.message);
+    });
+  });
+
+  const data = await store.load();
+  const cutoff = Date.now() - RETENTION;
+  const kept = data.batches.filter((b) => Date.parse(b.updatedAt) > cutoff);
+  if (kept.length !== data.batches.length) {
+    data.batches = kept;
+    await store.save();
+  }
+
+  // Batches whose validation a restart interrupted carry on where they
+  // stopped.
+  for (const batch of data.batches) {
+    if (!batch.recipients.some((r) => r.status === "validating")) continue;
+    const session = sessions.get(batch.sessionId);
+    if (!session) {
+      await failValidating(
+        batch,
+        "SESSION_NOT_FOUND",
+        errors.format("SESSION_NOT_FOUND", { sessionId: batch.sessionId })
+      );
+      continue;
+    }
+    console.log(`Resuming validation of bulk batch ${batch.id}`);
+    validateInBackground(batch, session);
+  }
+}
+
+// Renders each recipient's text up front so template problems are
+// reported per recipient instead of failing the whole batch.
+async function buildMessage(input, recipient) {
+  if (recipient.message) return recipient.message;
+  if (!input.template) return input.message;
+
+  const rendered = await templates.render(input.template, {
+    locale: recipient.locale || input.locale,
+    variables: { ...input.variables, ...recipient.variables },
+  });
+  return rendered.message;
+}
+
+function validateInput(input) {
+  const { recipients, message, template } = input;
+
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw errors.apiError("INVALID_REQUEST", {
+      reason: "RECIPIENTS_REQUIRED",
+    });
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    throw errors.apiError("INVALID_REQUEST", {
+      reason: "TOO_MANY_RECIPIENTS",
+      max: MAX_RECIPIENTS,
+    });
+  }
+  if (!message && !template && recipients.some((r) => !r || !r.message)) {
+    throw errors.apiError("INVALID_REQUEST", { reason: "MESSAGE_REQUIRED" });
+  }
+}
+
+function markOptedOut(recipient) {
+  recipient.status = "opted_out";
+  recipient.code = "RECIPIENT_OPTED_OUT";
+  recipient.error = errors.format("RECIPIENT_OPTED_OUT", {
+    number: recipient.phoneNumber,
+  });
+}
+
+// Resolves every number against WhatsApp, then queues the valid ones with
+// jittered spacing so hundreds of reminders don't go out in one burst.
+// Each recipient's text is stored with it until it is queued, so a restart
+// can resume the batch.
+async function validateAndQueue(batch, session) {
+  let sendAt = Date.now();
+
+  for (const recipient of batch.recipients) {
+    if (recipient.status !== "validating") continue;
+
+    const client = session.getClient();
+    try {
+      if (!client || !session.getStatus().ready) {
+        throw errors.apiError("CLIENT_NOT_READY");
+      }
+      recipient.chatId = await resolveChatId(client, recipient.phoneNumber);
+    } catch (error) {
+      if (errors.classify(error).code === "NOT_ON_WHATSAPP") {
+        recipient.status = "no_whatsapp";
+        recipient.code = "NOT_ON_WHATSAPP";
+        recipient.error = errors.format("NOT_ON_WHATSAPP");
+        delete recipient.message;
+        continue;
+      }
+      // Transient trouble: queue it anyway, the send re-checks the number.
+    }
+
+    let job;
+    try {
+      job = await queue.enqueue({
+        sessionId: session.id,
+        to: recipient.phoneNumber,
+        chatId: recipient.chatId,
+        message: recipient.message,
+        batchId: batch.id,
+        notBefore: sendAt,
+        origin: { type: "bulk", id: batch.id },
+      });
+    } catch (error) {
+      // Opted out since the batch was accepted.
+      if (error.code === "RECIPIENT_OPTED_OUT") {
+        markOptedOut(recipient);
+      } else {
+        recipient.status = "failed";
+        recipient.code = error.code || "INTERNAL_ERROR";
+        recipient.error = error.message;
+      }
+      delete recipient.message;
+      batch.updatedAt = new Date().toISOString();
+      await store.save();
+      continue;
+    }
+    recipient.status = "queued";
+    recipient.jobId = job.id;
+    delete recipient.message;
+    sendAt += PACING_INTERVAL + Math.round(Math.random() * PACING_JITTER);
+
+    batch.updatedAt = new Date().toISOString();
+    await store.save();
+  }
+
+  batch.updatedAt = new Date().toISOString();
+  await store.save();
+}
+
+async function create(session, input) {
+  validateInput(input);
+
+  if (!session.getStatus().ready) {
+    throw errors.apiError("CLIENT_NOT_READY");
+  }
+
+  const seen = new Set();
+  const recipients = [];
+
+  for (const raw of input.recipients) {
+    const to = raw && typeof raw === "object" ? raw.to : raw;
+    const entry = { to: to ?? null, phoneNumber: null, status: "validating" };
+    recipients.push(entry);
+
+    try {
+      entry.phoneNumber = phone.normalize(to).number;
+    } catch (error) {
+      if (!error.code) throw error;
+      entry.status = "invalid_format";
+      entry.code = error.code;
+      entry.reason = error.params.reason;
+      entry.error = error.message;
+      continue;
+    }
+
+    if (seen.has(entry.phoneNumber)) {
+      entry.status = "duplicate";
+      continue;
+    }
+    seen.add(entry.phoneNumber);
+
+    if (await optOuts.isOptedOut(entry.phoneNumber)) {
+      markOptedOut(entry);
+      continue;
+    }
+
+    try {
+      entry.message = await buildMessage(
+        input,
+        typeof raw === "object" ? raw : {}
+      );
+    } catch (error) {
+      entry.status = "failed";
+      entry.code = error.code || "INTERNAL_ERROR";
+      entry.error = error.message;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const batch = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    template: input.template || null,
+    createdAt: now,
+    updatedAt: now,
+    recipients,
+  };
+
+  const data = await store.load();
+  data.batches.push(batch);
+  await store.save();
+
+  validateInBackground(batch, session);
+
+  return toView(batch);
+}
+
+async function get(id) {
+  const data = await store.load();
+  const batch = data.batches.find((b) => b.id === id);
+  return batch ? toView(batch) : null;
+}
+
+module.exports = {
+  MAX_RECIPIENTS,
+  start,
+  create,
+  get,
+};
@@ -0,0 +1,246 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { createJsonStore } = require("./store");
+const { settings } = require("./config");
+
+// CPU times in /proc are in clock ticks, 100 per second on every Linux
+// build Node runs on.
+const CLOCK_TICKS = 100;
+
+// The processes each session's Chromium was last seen running, so a tree
+// left behind by a crashed server can still be killed on the next start.
+// Each is kept with its start time, which tells it apart from an unrelated
+// process that later got the same pid.
+const store = createJsonStore(path.join(settings.dataPath, "chromium.json"), {
+  sessions: {},
+});
+
+// Parent, start time, memory and CPU time of every process, from /proc
+// (Linux only).
+async function readProcesses() {
+  const processes = new Map();
+  const pids = (await fs.readdir("/proc")).filter((e) => /^\d+$/.test(e));
+  await Promise.all(
+    pids.map(async (pid) => {
+      try {
+        const [stat, status] = await Promise.all([
+          fs.readFile(`/proc/${pid}/stat`, "utf8"),
+          fs.readFile(`/proc/${pid}/status`, "utf8"),
+        ]);
+        // The command name in parentheses may itself contain spaces.
+        const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+        const kb = status.match(/^VmRSS:\s+(\d+) kB/m);
+        processes.set(Number(pid), {
+          ppid: Number(fields[1]),
+          cpuTicks: Number(fields[11]) + Number(fields[12]),
+          startTime: fields[19],
+          rss: kb ? Number(kb[1]) * 1024 : 0,
+        });
+      } catch {
+        // Exited while we were reading
+      }
+    })
+  );
+  return processes;
+}
+
+// A process and all its descendants.
+function descendants(processes, rootPid) {
+  const children = new Map();
+  for (const [pid, { ppid }] of processes) {
+    if (!children.has(ppid)) children.set(ppid, []);
+    children.get(ppid).push(pid);
+  }
+
+  const tree = [];
+  const stack = [rootPid];
+  while (stack.length > 0) {
+    const pid = stack.pop();
+    if (!processes.has(pid)) continue;
+    tree.push(pid);
+    stack.push(...(children.get(pid) || []));
+  }
+  return tree;
+}
+
+async function cmdline(pid) {
+  try {
+    return (await fs.readFile(`/proc/${pid}/cmdline`, "utf8")).split("\0");
+  } catch {
+    return [];
+  }
+}
+
+// Resolves to whether the page answers a trivial script in time. A page
+// whose renderer hangs never settles, so a plain evaluate would wait
+// forever.
+async function responds(page, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  try {
+    return await Promise.race([page.evaluate(() => true), timeout]);
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Watches the Chromium one session's client launched: the browser process
+// puppeteer started and every process under it. Only those processes are
+// ever killed, never another session's or another program's Chromium.
+// `getClient` returns the session's current client, if any.
+function createSupervisor(sessionId, { profileDir, getClient }) {
+  const linux = process.platform === "linux";
+  // pid -> start time of every process seen in the tree. Children outlive
+  // a crashed browser process, so they stay listed until they are gone.
+  let tracked = null;
+  let lastCpu = null;
+  let latest = null;
+
+  async function load() {
+    if (!tracked) {
+      const data = await store.load();
+      tracked = new Map(
+        (data.sessions[sessionId] || []).map((p) => [p.pid, p.startTime])
+      );
+    }
+  }
+
+  async function persist() {
+    const data = await store.load();
+    const entries = [...tracked].map(([pid, startTime]) => ({
+      pid,
+      startTime,
+    }));
+    const previous = data.sessions[sessionId] || [];
+    if (JSON.stringify(previous) === JSON.stringify(entries)) return;
+    if (entries.length > 0) data.sessions[sessionId] = entries;
+    else delete data.sessions[sessionId];
+    await store.save();
+  }
+
+  function launchedProcess() {
+    const client = getClient();
+    const browser = client && client.pupBrowser;
+    return browser ? browser.process() : null;
+  }
+
+  // The browser process: the one puppeteer reports once the client has
+  // it, or, while the client is still starting, our own child running on
+  // this session's profile.
+  async function browserPid(processes) {
+    const child = launchedProcess();
+    if (child && child.pid && processes.has(child.pid)) return child.pid;
+
+    for (const [pid, { ppid }] of processes) {
+      if (ppid !== process.pid) continue;
+      if ((await cmdline(pid)).includes(`--user-data-dir=${profileDir}`)) {
+        return pid;
+      }
+    }
+    return null;
+  }
+
+  // Reads the tree's current processes, memory and CPU use. Resolves to
+  // null when no browser is running (or off Linux).
+  async function sample() {
+    if (!linux) return null;
+    await load();
+    const processes = await readProcesses();
+
+    for (const [pid, startTime] of tracked) {
+      const current = processes.get(pid);
+      if (!current || current.startTime !== startTime) tracked.delete(pid);
+    }
+
+    const rootPid = await browserPid(processes);
+    const tree = rootPid ? descendants(processes, rootPid) : [];
+    for (const pid of tree) tracked.set(pid, processes.get(pid).startTime);
+    await persist();
+
+    if (!rootPid) {
+      latest = null;
+      lastCpu = null;
+      return null;
+    }
+
+    const now = Date.now();
+    let memoryBytes = 0;
+    let cpuTicks = 0;
+    for (const pid of tree) {
+      memoryBytes += processes.get(pid).rss;
+      cpuTicks += processes.get(pid).cpuTicks;
+    }
+    // Percent of one core since the previous sample of the same browser.
+    // Processes that exited in between take their CPU time with them, so
+    // a negative difference is reported as 0.
+    const cpuPercent =
+      lastCpu && lastCpu.pid === rootPid && now > lastCpu.at
+        ? Math.max(
+            0,
+            ((cpuTicks - lastCpu.ticks) /
+              CLOCK_TICKS /
+              ((now - lastCpu.at) / 1000)) *
+              100
+          )
+        : null;
+    lastCpu = { pid: rootPid, ticks: cpuTicks, at: now };
+
+    latest = {
+      pid: rootPid,
+      processes: tree.length,
+      memoryBytes,
+      cpuPercent: cpuPercent === null ? null : Math.round(cpuPercent * 10) / 10,
+      sampledAt: new Date(now).toISOString(),
+    };
+    return latest;
+  }
+
+  // Kills the browser and every process of its tree still running,
+  // including ones left by a previous run of the server.
+  async function kill() {
+    latest = null;
+    lastCpu = null;
+
+    if (!linux) {
+      const child = launchedProcess();
+      if (child && child.exitCode === null) child.kill("SIGKILL");
+      return;
+    }
+
+    try {
+      await sample();
+    } catch (err) {
+      console.error(
+        `[${sessionId}] Could not read Chromium processes:`,
+        err.message
+      );
+    }
+    if (!tracked) return;
+    const count = tracked.size;
+    for (const pid of tracked.keys()) {
+      try {
+        process.kill(pid, "SIGKILL");
+      } catch {
+        // Already gone
+      }
+    }
+    tracked.clear();
+    await persist();
+    if (count > 0) {
+      console.log(`[${sessionId}] Killed ${count} Chromium process(es)`);
+    }
+  }
+
+  // The last sample, for status and metrics.
+  function stats() {
+    return latest;
+  }
+
+  return { sample, kill, stats };
+}
+
+module.exports = { createSupervisor, responds };
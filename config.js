@@ -0,0 +1,511 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { IANAZone } = require("luxon");
+const { isSupportedCountry } = require("libphonenumber-js/max");
+
+const ROLES = ["viewer", "sender", "operator", "admin"];
+const SESSION_STORES = ["local", "directory", "s3", "postgres"];
+
+const PUPPETEER_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-dev-shm-usage",
+  "--disable-accelerated-2d-canvas",
+  "--no-first-run",
+  "--disable-gpu",
+  "--disable-software-rasterizer",
+  "--disable-extensions",
+  "--disable-background-networking",
+  "--disable-default-apps",
+  "--disable-sync",
+  "--disable-translate",
+  "--metrics-recording-only",
+  "--mute-audio",
+  "--no-default-browser-check",
+  "--disable-hang-monitor",
+  "--disable-prompt-on-repost",
+  "--disable-client-side-phishing-detection",
+  "--disable-component-update",
+  "--disable-domain-reliability",
+  "--disable-renderer-backgrounding",
+  "--disable-backgrounding-occluded-windows",
+  "--disable-ipc-flooding-protection",
+  "--disable-breakpad",
+  "--disable-features=TranslateUI,BlinkGenPropertyTrees,AudioServiceOutOfProcess",
+];
+
+// Every setting, in the order defaults are resolved (a default may be a
+// function of the settings above it). Each is read from its environment
+// variable, then from CONFIG_FILE under its own name, then the default.
+// `secret` values are never shown by GET /config. A `list` is read from
+// the environment as a JSON array, or split on `separator` (a comma unless
+// given).
+const SCHEMA = {
+  // Server
+  port: { env: "PORT", type: "integer", default: 4000, min: 1, max: 65535 },
+  corsOrigins: {
+    env: "CORS_ORIGINS",
+    type: "list",
+    default: [
+      "https://danclean.vercel.app",
+      "http://localhost:*",
+      "http://127.0.0.1:*",
+    ],
+    validate: (origins) => origins.forEach(originMatcher),
+  },
+  sendWaitTimeoutMs: {
+    env: "SEND_WAIT_TIMEOUT_MS",
+    type: "integer",
+    default: 30000,
+    min: 0,
+  },
+
+  // Authentication
+  authSecret: { env: "AUTH_SECRET", type: "string", secret: true },
+  requireAuth: {
+    env: "REQUIRE_AUTH",
+    type: "boolean",
+    default: () => process.env.NODE_ENV === "production",
+  },
+  authDefaultRole: {
+    env: "AUTH_DEFAULT_ROLE",
+    type: "string",
+    values: ROLES,
+    default: "sender",
+  },
+
+  // WhatsApp client
+  dataPath: {
+    // Railway sets the first when a volume is attached.
+    env: ["RAILWAY_VOLUME_MOUNT_PATH", "WWEBJS_DATA_PATH"],
+    type: "string",
+    default: () => path.join(process.cwd(), ".wwebjs_auth"),
+  },
+  defaultSessionId: {
+    env: "DEFAULT_SESSION_ID",
+    type: "string",
+    default: "dan-clean-wa",
+    // LocalAuth only accepts alphanumerics, underscores and hyphens.
+    validate: (id) => {
+      if (!/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+        throw new Error("must be 1-64 letters, digits, '-' or '_'");
+      }
+    },
+  },
+  chromePath: { env: "PUPPETEER_EXECUTABLE_PATH", type: "string" },
+  puppeteerArgs: {
+    env: "PUPPETEER_ARGS",
+    type: "list",
+    // Flags such as --disable-features=A,B contain commas themselves.
+    separator: /\s+/,
+    default: PUPPETEER_ARGS,
+  },
+  puppeteerTimeoutMs: {
+    env: "PUPPETEER_TIMEOUT_MS",
+    type: "integer",
+    default: 180000,
+    min: 1000,
+  },
+  maxInitAttempts: {
+    env: "MAX_INIT_ATTEMPTS",
+    type: "integer",
+    default: 3,
+    min: 1,
+  },
+  healthCheckIntervalMs: {
+    env: "HEALTH_CHECK_INTERVAL_MS",
+    type: "integer",
+    default: 5 * 60 * 1000,
+    min: 10000,
+  },
+  healthFailureThreshold: {
+    env: "HEALTH_FAILURE_THRESHOLD",
+    type: "integer",
+    default: 3,
+    min: 1,
+  },
+  reconnectDelayMs: {
+    env: "RECONNECT_DELAY_MS",
+    type: "integer",
+    default: 10000,
+    min: 0,
+  },
+  pairingCodeTimeoutMs: {
+    env: "PAIRING_CODE_TIMEOUT_MS",
+    type: "integer",
+    default: 90000,
+    min: 1000,
+  },
+  // The first wait once a session's starts keep failing after a wipe,
+  // doubling with each further failure up to the maximum.
+  circuitBreakerBaseDelayMs: {
+    env: "CIRCUIT_BREAKER_BASE_DELAY_MS",
+    type: "integer",
+    default: 60000,
+    min: 1000,
+  },
+  circuitBreakerMaxDelayMs: {
+    env: "CIRCUIT_BREAKER_MAX_DELAY_MS",
+    type: "integer",
+    default: 30 * 60 * 1000,
+    min: 1000,
+  },
+  browserCheckIntervalMs: {
+    env: "BROWSER_CHECK_INTERVAL_MS",
+    type: "integer",
+    default: 30000,
+    min: 5000,
+  },
+  // 0 leaves memory unlimited.
+  browserMaxMemoryMb: {
+    env: "BROWSER_MAX_MEMORY_MB",
+    type: "integer",
+    default: 0,
+    min: 0,
+  },
+  browserResponseTimeoutMs: {
+    env: "BROWSER_RESPONSE_TIMEOUT_MS",
+    type: "integer",
+    default: 15000,
+    min: 1000,
+  },
+  browserUnresponsiveThreshold: {
+    env: "BROWSER_UNRESPONSIVE_THRESHOLD",
+    type: "integer",
+    default: 3,
+    min: 1,
+  },
+
+  // Session backups and snapshots
+  sessionStore: {
+    env: "SESSION_STORE",
+    type: "string",
+    values: SESSION_STORES,
+    default: "local",
+  },
+  sessionBackupDir: {
+    env: "SESSION_BACKUP_DIR",
+    type: "string",
+    default: (s) => path.join(s.dataPath, "backups"),
+  },
+  // RemoteAuth refuses intervals under a minute.
+  sessionBackupIntervalMs: {
+    env: "SESSION_BACKUP_INTERVAL_MS",
+    type: "integer",
+    default: 5 * 60 * 1000,
+    min: 60000,
+  },
+  sessionBackupKeep: {
+    env: "SESSION_BACKUP_KEEP",
+    type: "integer",
+    default: 3,
+    min: 1,
+  },
+  s3Bucket: { env: "S3_BUCKET", type: "string" },
+  s3Endpoint: { env: "S3_ENDPOINT", type: "string" },
+  s3Region: { env: "S3_REGION", type: "string", default: "us-east-1" },
+  s3Prefix: { env: "S3_PREFIX", type: "string", default: "wwebjs/" },
+  s3AccessKeyId: { env: "S3_ACCESS_KEY_ID", type: "string" },
+  s3SecretAccessKey: {
+    env: "S3_SECRET_ACCESS_KEY",
+    type: "string",
+    secret: true,
+  },
+  // Secret because connection strings usually embed the password.
+  databaseUrl: { env: "DATABASE_URL", type: "string", secret: true },
+  snapshotDir: {
+    env: "SNAPSHOT_DIR",
+    type: "string",
+    default: (s) => path.join(s.dataPath, "snapshots"),
+  },
+  snapshotKeep: { env: "SNAPSHOT_KEEP", type: "integer", default: 10, min: 1 },
+  snapshotEncryptionKey: {
+    env: "SNAPSHOT_ENCRYPTION_KEY",
+    type: "string",
+    secret: true,
+  },
+
+  // Sending
+  phoneDefaultCountry: {
+    env: "PHONE_DEFAULT_COUNTRY",
+    type: "string",
+    default: "MX",
+    validate: (country) => {
+      if (!isSupportedCountry(country.toUpperCase())) {
+        throw new Error("must be an ISO country code such as MX or US");
+      }
+    },
+  },
+  sendRatePerMinute: {
+    env: "SEND_RATE_PER_MINUTE",
+    type: "integer",
+    default: 20,
+    min: 1,
+  },
+  queueMaxAttempts: {
+    env: "QUEUE_MAX_ATTEMPTS",
+    type: "integer",
+    default: 5,
+    min: 1,
+  },
+  idempotencyTtlHours: {
+    env: "IDEMPOTENCY_TTL_HOURS",
+    type: "integer",
+    default: 24,
+    min: 1,
+  },
+  mediaMaxBytes: {
+    env: "MEDIA_MAX_BYTES",
+    type: "integer",
+    default: 16 * 1024 * 1024,
+    min: 1,
+  },
+  bulkIntervalMs: {
+    env: "BULK_INTERVAL_MS",
+    type: "integer",
+    default: 3000,
+    min: 0,
+  },
+  bulkJitterMs: {
+    env: "BULK_JITTER_MS",
+    type: "integer",
+    default: 2000,
+    min: 0,
+  },
+  scheduleTimezone: {
+    env: "SCHEDULE_TIMEZONE",
+    type: "string",
+    default: "America/Mexico_City",
+    validate: (zone) => {
+      if (!IANAZone.isValidZone(zone)) {
+        throw new Error(
+          "must be an IANA time zone such as America/Mexico_City"
+        );
+      }
+    },
+  },
+  scheduleCatchUpMinutes: {
+    env: "SCHEDULE_CATCH_UP_MINUTES",
+    type: "integer",
+    default: 60,
+    min: 1,
+  },
+  // Incoming messages consisting of just one of these opt the sender out.
+  // Not CANCELAR, which customers send to cancel an appointment.
+  optOutKeywords: {
+    env: "OPT_OUT_KEYWORDS",
+    type: "list",
+    default: ["STOP", "BAJA", "ALTO", "UNSUBSCRIBE"],
+  },
+
+  // Audit log
+  auditMaxFileBytes: {
+    env: "AUDIT_MAX_FILE_BYTES",
+    type: "integer",
+    default: 10 * 1024 * 1024,
+    min: 1024,
+  },
+  auditMaxFiles: {
+    env: "AUDIT_MAX_FILES",
+    type: "integer",
+    default: 10,
+    min: 1,
+  },
+  // 0 keeps only the hash.
+  auditPreviewLength: {
+    env: "AUDIT_PREVIEW_LENGTH",
+    type: "integer",
+    default: 40,
+    min: 0,
+  },
+};
+
+// Checks that involve more than one setting.
+const RULES = [
+  (s) =>
+    s.sessionStore === "s3" &&
+    !s.s3Bucket &&
+    "SESSION_STORE=s3 needs S3_BUCKET",
+  (s) =>
+    s.sessionStore === "postgres" &&
+    !s.databaseUrl &&
+    "SESSION_STORE=postgres needs DATABASE_URL",
+  (s) =>
+    s.s3AccessKeyId &&
+    !s.s3SecretAccessKey &&
+    "S3_ACCESS_KEY_ID needs S3_SECRET_ACCESS_KEY",
+  (s) =>
+    s.circuitBreakerMaxDelayMs < s.circuitBreakerBaseDelayMs &&
+    "CIRCUIT_BREAKER_MAX_DELAY_MS must not be below CIRCUIT_BREAKER_BASE_DELAY_MS",
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// An allowed origin: exact, with any subdomain ("https://*.example.com")
+// or with any port or none ("http://localhost:*").
+function originMatcher(pattern) {
+  if (!pattern.includes("*")) return pattern;
+  const source = escapeRegExp(pattern)
+    .replace(/^(https?:\/\/)\\\*\\\./, "$1([a-z0-9-]+\\.)+")
+    .replace(/:\\\*$/, "(:\\d+)?");
+  if (source.includes("\\*")) {
+    throw new Error(
+      `'${pattern}': '*' is only allowed as '*.' after the scheme or ':*' at the end`
+    );
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function fromEnv(text, setting) {
+  if (setting.type === "integer") {
+    if (!/^-?\d+$/.test(text.trim())) throw new Error("must be an integer");
+    return Number(text);
+  }
+  if (setting.type === "boolean") {
+    if (["true", "1"].includes(text)) return true;
+    if (["false", "0"].includes(text)) return false;
+    throw new Error("must be true or false");
+  }
+  if (setting.type === "list") {
+    if (text.trim().startsWith("[")) {
+      let value;
+      try {
+        value = JSON.parse(text);
+      } catch {
+        throw new Error("must be a JSON array of strings");
+      }
+      return fromFile(value, setting);
+    }
+    return text
+      .split(setting.separator || ",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return text;
+}
+
+function fromFile(value, setting) {
+  const ok =
+    setting.type === "integer"
+      ? Number.isInteger(value)
+      : setting.type === "list"
+        ? Array.isArray(value) && value.every((v) => typeof v === "string")
+        : typeof value === setting.type;
+  if (!ok) {
+    throw new Error(
+      setting.type === "list"
+        ? "must be a list of strings"
+        : `must be a${setting.type === "integer" ? "n" : ""} ${setting.type}`
+    );
+  }
+  return value;
+}
+
+function check(value, setting) {
+  if (setting.values && !setting.values.includes(value)) {
+    throw new Error(`must be one of: ${setting.values.join(", ")}`);
+  }
+  if (setting.min !== undefined && value < setting.min) {
+    throw new Error(`must be at least ${setting.min}`);
+  }
+  if (setting.max !== undefined && value > setting.max) {
+    throw new Error(`must be at most ${setting.max}`);
+  }
+  if (setting.validate) setting.validate(value);
+}
+
+function readFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  const data = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  if (typeof data !== "object" || data === null || Array.isArray(data)) {
+    throw new Error("must contain an object of settings");
+  }
+  return data;
+}
+
+// Resolves every setting and collects all problems instead of stopping at
+// the first, so one failed deploy shows everything that needs fixing.
+function load() {
+  const file = process.env.CONFIG_FILE || null;
+  const problems = [];
+  let fileData = {};
+
+  if (file) {
+    try {
+      fileData = readFile(file);
+    } catch (err) {
+      problems.push(`CONFIG_FILE ${file}: ${err.message}`);
+    }
+    for (const key of Object.keys(fileData)) {
+      if (!SCHEMA[key]) problems.push(`${file}: unknown setting '${key}'`);
+    }
+  }
+
+  const settings = {};
+  const sources = {};
+  for (const [key, setting] of Object.entries(SCHEMA)) {
+    const envNames = [].concat(setting.env);
+    const envName = envNames.find((name) => process.env[name]);
+    let label = key;
+    try {
+      if (envName) {
+        label = envName;
+        settings[key] = fromEnv(process.env[envName], setting);
+        sources[key] = "env";
+      } else if (fileData[key] !== undefined && fileData[key] !== null) {
+        label = `${file}: ${key}`;
+        settings[key] = fromFile(fileData[key], setting);
+        sources[key] = "file";
+      } else {
+        settings[key] =
+          typeof setting.default === "function"
+            ? setting.default(settings)
+            : (setting.default ?? null);
+        sources[key] = "default";
+      }
+      if (settings[key] !== null) check(settings[key], setting);
+    } catch (err) {
+      problems.push(`${label} ${err.message}`);
+    }
+  }
+
+  for (const rule of RULES) {
+    const problem = problems.length === 0 && rule(settings);
+    if (problem) problems.push(problem);
+  }
+
+  return { file, settings, sources, problems };
+}
+
+const loaded = load();
+if (loaded.problems.length > 0) {
+  console.error("✗ Invalid configuration:");
+  for (const problem of loaded.problems) console.error(`  - ${problem}`);
+  process.exit(1);
+}
+
+const settings = Object.freeze(loaded.settings);
+
+// Every setting with where its value came from, secrets replaced by
+// "[redacted]", for GET /config.
+function view() {
+  const entries = {};
+  for (const [key, setting] of Object.entries(SCHEMA)) {
+    const value = settings[key];
+    entries[key] = {
+      value: setting.secret && value !== null ? "[redacted]" : value,
+      source: loaded.sources[key],
+      env: [].concat(setting.env).join(" | "),
+    };
+  }
+  return { file: loaded.file, settings: entries };
+}
+
+module.exports = {
+  settings,
+  originMatcher,
+  view,
+};
@@ -0,0 +1,211 @@
+const path = require("path");
+const { createJsonStore } = require("./store");
+const { settings } = require("./config");
+
+const MAX_HISTORY = 500;
+const SAVE_DELAY = 1000;
+// Transitions that explain an outage are the ones most likely to be
+// followed by the container dying, so they (and unexpected ones) are
+// written at once instead of after SAVE_DELAY.
+const SAVE_NOW = new Set(["auth_failed", "circuit_open"]);
+
+// A session's connection is always in exactly one of these states.
+const STATES = {
+  stopped: "Not running",
+  starting: "Launching Chromium and loading WhatsApp Web",
+  qr_pending: "Waiting for the QR code to be scanned",
+  pairing_code_pending: "Waiting for the pairing code to be entered",
+  authenticated: "Linked, loading chats",
+  ready: "Connected",
+  auth_failed: "WhatsApp rejected the saved session",
+  reconnecting: "Closing the client to start it again",
+  retry_wait: "Waiting to retry a failed start",
+  circuit_open:
+    "Retries, backups and a wipe all failed; waiting longer before each new attempt",
+  unlinking: "Logging out or removing the session",
+};
+
+// The states each one may move to. WhatsApp Web can still surprise us, so
+// a transition outside this table is logged and recorded as `unexpected`
+// but still made: refusing it could leave the session stuck.
+const TRANSITIONS = {
+  stopped: ["starting", "unlinking"],
+  starting: [
+    "qr_pending",
+    "pairing_code_pending",
+    "authenticated",
+    "ready",
+    "auth_failed",
+    "reconnecting",
+    "retry_wait",
+    "circuit_open",
+    "unlinking",
+    "stopped",
+  ],
+  qr_pending: [
+    "pairing_code_pending",
+    "authenticated",
+    "ready",
+    "auth_failed",
+    "reconnecting",
+    "retry_wait",
+    "circuit_open",
+    "unlinking",
+    "stopped",
+  ],
+  pairing_code_pending: [
+    "qr_pending",
+    "authenticated",
+    "ready",
+    "auth_failed",
+    "reconnecting",
+    "retry_wait",
+    "circuit_open",
+    "unlinking",
+    "stopped",
+  ],
+  authenticated: [
+    "qr_pending",
+    "ready",
+    "auth_failed",
+    "reconnecting",
+    "retry_wait",
+    "circuit_open",
+    "unlinking",
+    "stopped",
+  ],
+  ready: ["reconnecting", "unlinking", "stopped"],
+  auth_failed: [
+    "starting",
+    "qr_pending",
+    "reconnecting",
+    "retry_wait",
+    "circuit_open",
+    "unlinking",
+    "stopped",
+  ],
+  reconnecting: ["starting", "unlinking", "stopped"],
+  retry_wait: ["starting", "reconnecting", "unlinking", "stopped"],
+  circuit_open: ["starting", "reconnecting", "unlinking", "stopped"],
+  unlinking: ["retry_wait", "stopped"],
+};
+
+// The last MAX_HISTORY transitions of each session, oldest first.
+const store = createJsonStore(
+  path.join(settings.dataPath, "connection-history.json"),
+  { sessions: {} }
+);
+
+let saveTimer = null;
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    store.save();
+  }, SAVE_DELAY);
+}
+
+function saveNow() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  return store.save();
+}
+
+function record(sessionId, entry) {
+  store
+    .load()
+    .then((data) => {
+      if (!data.sessions[sessionId]) data.sessions[sessionId] = [];
+      const entries = data.sessions[sessionId];
+      entries.push(entry);
+      if (entries.length > MAX_HISTORY) {
+        entries.splice(0, entries.length - MAX_HISTORY);
+      }
+      if (SAVE_NOW.has(entry.to) || entry.unexpected) return saveNow();
+      scheduleSave();
+    })
+    .catch((err) => {
+      console.error(`[${sessionId}] Could not record transition:`, err.message);
+    });
+}
+
+// How long the circuit stays open after its `opens`-th consecutive
+// opening: the base delay, doubling each time up to the maximum.
+function circuitDelay(opens) {
+  return Math.min(
+    settings.circuitBreakerBaseDelayMs * 2 ** (opens - 1),
+    settings.circuitBreakerMaxDelayMs
+  );
+}
+
+// One session's state. `onTransition` gets each transition made, after
+// the state has changed.
+function createMachine(sessionId, { onTransition } = {}) {
+  let state = "stopped";
+  let since = new Date().toISOString();
+
+  // `reason` says why, as a short code (e.g. "disconnected"); `details`
+  // carries anything that helps explain it, such as WhatsApp's own reason
+  // or the error of a failed start.
+  function to(next, reason, details = {}) {
+    if (!STATES[next]) throw new Error(`Unknown connection state: ${next}`);
+    if (next === state) return;
+
+    const unexpected = !TRANSITIONS[state].includes(next);
+    if (unexpected) {
+      console.warn(
+        `[${sessionId}] Unexpected connection transition ${state} -> ${next} (${reason})`
+      );
+    }
+
+    const transition = {
+      from: state,
+      to: next,
+      reason,
+      ...details,
+      ...(unexpected ? { unexpected: true } : {}),
+      at: new Date().toISOString(),
+    };
+    state = next;
+    since = transition.at;
+    record(sessionId, transition);
+    if (onTransition) onTransition(transition);
+  }
+
+  return {
+    to,
+    current: () => state,
+    since: () => since,
+    is: (...states) => states.includes(state),
+  };
+}
+
+// Newest first.
+async function history(sessionId, { limit = 50 } = {}) {
+  const data = await store.load();
+  return (data.sessions[sessionId] || []).slice(-limit).reverse();
+}
+
+async function forget(sessionId) {
+  const data = await store.load();
+  delete data.sessions[sessionId];
+  scheduleSave();
+}
+
+async function flush() {
+  if (saveTimer) await saveNow();
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  MAX_HISTORY,
+  circuitDelay,
+  createMachine,
+  history,
+  forget,
+  flush,
+};
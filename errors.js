@@ -0,0 +1,604 @@
+// Stable, machine-readable error codes shared by every route. Clients should
+// branch on `code`; `message` is for people and follows Accept-Language.
+
+const DEFAULT_LANGUAGE = "es";
+const LANGUAGES = ["es", "en"];
+
+// status: HTTP status. retryable: a queued send may succeed later, if it
+// failed before the message was handed to WhatsApp (see send.deliver).
+// reconnect: the failure means the WhatsApp client should be restarted.
+const CODES = {
+  INTERNAL_ERROR: { status: 500 },
+  NOT_FOUND: { status: 404 },
+  INVALID_JSON: { status: 400 },
+  PAYLOAD_TOO_LARGE: { status: 413 },
+  ORIGIN_NOT_ALLOWED: { status: 403 },
+  INVALID_REQUEST: { status: 400 },
+  IDEMPOTENCY_KEY_REUSED: { status: 422 },
+
+  AUTH_REQUIRED: { status: 401 },
+  TOKEN_EXPIRED: { status: 401 },
+  TOKEN_INVALID: { status: 401 },
+  API_KEY_INVALID: { status: 401 },
+  INSUFFICIENT_SCOPE: { status: 403 },
+  API_KEY_NOT_FOUND: { status: 404 },
+  INVALID_API_KEY: { status: 400 },
+
+  SESSION_NOT_FOUND: { status: 404 },
+  SESSION_EXISTS: { status: 409 },
+  INVALID_SESSION_ID: { status: 400 },
+  DEFAULT_SESSION_PROTECTED: { status: 409 },
+  RECONNECT_IN_PROGRESS: { status: 409 },
+  ALREADY_CONNECTED: { status: 409 },
+  PAIRING_CODE_TIMEOUT: { status: 504 },
+  CLIENT_NOT_READY: { status: 503, retryable: true },
+  SESSION_LOST: { status: 503, retryable: true, reconnect: true },
+  CONNECTION_ERROR: { status: 502, retryable: true, reconnect: true },
+
+  MISSING_FIELDS: { status: 400 },
+  INVALID_NUMBER: { status: 400 },
+  UNKNOWN_COUNTRY: { status: 400 },
+  NOT_ON_WHATSAPP: { status: 400 },
+  RECIPIENT_OPTED_OUT: { status: 403 },
+  OPT_OUT_NOT_FOUND: { status: 404 },
+  INVALID_LOCATION: { status: 400 },
+  INVALID_MEDIA: { status: 400 },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415 },
+  MEDIA_TOO_LARGE: { status: 413 },
+  MEDIA_DOWNLOAD_FAILED: { status: 502 },
+  // Not retried: WhatsApp may have accepted the message before failing.
+  SEND_FAILED: { status: 500 },
+  SEND_INTERRUPTED: { status: 500 },
+  MESSAGE_NOT_FOUND: { status: 404 },
+  RECEIPT_NOT_FOUND: { status: 404 },
+  BATCH_NOT_FOUND: { status: 404 },
+  CHAT_NOT_FOUND: { status: 404 },
+
+  GROUP_NOT_FOUND: { status: 404 },
+  INVALID_GROUP: { status: 400 },
+  GROUP_ADMIN_REQUIRED: { status: 403 },
+  GROUP_ACTION_FAILED: { status: 502 },
+
+  TEMPLATE_NOT_FOUND: { status: 404 },
+  TEMPLATE_EXISTS: { status: 409 },
+  INVALID_TEMPLATE: { status: 400 },
+  MISSING_VARIABLES: { status: 400 },
+
+  WEBHOOK_NOT_FOUND: { status: 404 },
+  INVALID_WEBHOOK: { status: 400 },
+
+  SCHEDULE_NOT_FOUND: { status: 404 },
+  SCHEDULE_NOT_ACTIVE: { status: 409 },
+  INVALID_SCHEDULE: { status: 400 },
+
+  AUTO_REPLY_NOT_FOUND: { status: 404 },
+  INVALID_AUTO_REPLY: { status: 400 },
+
+  SNAPSHOT_NOT_FOUND: { status: 404 },
+  SNAPSHOT_NO_PROFILE: { status: 409 },
+  SNAPSHOT_UNREADABLE: { status: 422 },
+};
+
+// Keys are a code, or `CODE.REASON` for a more specific wording of it.
+// `{name}` is replaced by the matching param.
+const MESSAGES = {
+  es: {
+    INTERNAL_ERROR: "Error interno del servidor",
+    NOT_FOUND: "Ruta no encontrada: {method} {path}",
+    INVALID_JSON: "El cuerpo de la petición no es JSON válido",
+    PAYLOAD_TOO_LARGE: "El cuerpo de la petición es demasiado grande",
+    ORIGIN_NOT_ALLOWED: "Origen no permitido por CORS",
+    INVALID_REQUEST: "Petición inválida",
+    "INVALID_REQUEST.RECIPIENTS_REQUIRED":
+      "'recipients' debe ser una lista no vacía",
+    "INVALID_REQUEST.TOO_MANY_RECIPIENTS":
+      "Máximo {max} destinatarios por lote",
+    "INVALID_REQUEST.MESSAGE_REQUIRED":
+      "Indica 'message' o 'template', o un 'message' para cada destinatario",
+    "INVALID_REQUEST.NUMBERS_REQUIRED":
+      "Indica 'number' o una lista 'numbers' de hasta {max}",
+    "INVALID_REQUEST.AUDIT_DATE": "'{field}' debe ser una fecha ISO 8601",
+    "INVALID_REQUEST.MESSAGE_IDS_REQUIRED":
+      "'messageIds' debe ser una lista no vacía de ids de mensaje",
+    "INVALID_REQUEST.TOO_MANY_MESSAGE_IDS":
+      "Máximo {max} ids de mensaje por consulta",
+    "INVALID_REQUEST.IDEMPOTENCY_KEY":
+      "La clave de idempotencia debe tener de 1 a {max} caracteres",
+    "INVALID_REQUEST.OPT_OUT_REASON": "'reason' debe ser texto",
+    "INVALID_REQUEST.TEST_TIME": "'at' debe ser una fecha ISO 8601",
+    IDEMPOTENCY_KEY_REUSED:
+      "La clave de idempotencia ya se usó para un mensaje diferente",
+
+    AUTH_REQUIRED: "Se requiere autenticación. No se envió un token.",
+    TOKEN_EXPIRED: "El token expiró. Inicia sesión de nuevo.",
+    TOKEN_INVALID: "Token inválido. Inicia sesión de nuevo.",
+    API_KEY_INVALID: "API key inválida, revocada o expirada",
+    INSUFFICIENT_SCOPE:
+      "No tienes permiso para esta acción (requiere el permiso '{scope}')",
+    API_KEY_NOT_FOUND: "API key no encontrada",
+    INVALID_API_KEY: "API key inválida",
+    "INVALID_API_KEY.NAME": "'name' es requerido (máximo 100 caracteres)",
+    "INVALID_API_KEY.ROLE": "Rol desconocido '{role}'. Usa: {roles}",
+    "INVALID_API_KEY.SCOPES":
+      "'scopes' debe ser una lista con algunos de: {scopes}",
+    "INVALID_API_KEY.EXPIRES":
+      "'expiresInDays' debe ser un número entero positivo",
+
+    SESSION_NOT_FOUND: "La sesión '{sessionId}' no existe",
+    SESSION_EXISTS: "La sesión '{sessionId}' ya existe",
+    INVALID_SESSION_ID:
+      "Id de sesión inválido. Usa de 1 a 64 letras, números, '-' o '_'.",
+    DEFAULT_SESSION_PROTECTED: "La sesión predeterminada no se puede eliminar",
+    RECONNECT_IN_PROGRESS: "Ya hay una reconexión en curso",
+    ALREADY_CONNECTED: "La sesión ya está conectada",
+    PAIRING_CODE_TIMEOUT:
+      "WhatsApp no generó el código de vinculación a tiempo, intenta de nuevo",
+    CLIENT_NOT_READY:
+      "El cliente de WhatsApp no está listo. Conéctate primero usando el endpoint /connect",
+    SESSION_LOST:
+      "La sesión de WhatsApp expiró o se perdió la conexión. Reconectando automáticamente.",
+    CONNECTION_ERROR:
+      "Error de conexión con WhatsApp. Reconectando automáticamente.",
+
+    MISSING_FIELDS: "Faltan campos requeridos: {fields}",
+    INVALID_NUMBER: "Formato de número inválido",
+    "INVALID_NUMBER.NUMBER_REQUIRED": "Falta el número de teléfono",
+    "INVALID_NUMBER.NOT_A_NUMBER": "El valor no es un número de teléfono",
+    "INVALID_NUMBER.INVALID_COUNTRY": "Código de país desconocido",
+    "INVALID_NUMBER.TOO_SHORT": "El número es demasiado corto",
+    "INVALID_NUMBER.TOO_LONG": "El número es demasiado largo",
+    "INVALID_NUMBER.INVALID_LENGTH": "El número no tiene una longitud válida",
+    "INVALID_NUMBER.NOT_ASSIGNABLE": "El número no es válido",
+    UNKNOWN_COUNTRY:
+      "País desconocido '{country}'. Usa un código como 'MX' o 'US'.",
+    NOT_ON_WHATSAPP: "Este numero no tiene WhatsApp",
+    RECIPIENT_OPTED_OUT:
+      "El número {number} pidió no recibir mensajes y no se le enviará nada",
+    OPT_OUT_NOT_FOUND: "El número {number} no está en la lista de bajas",
+    INVALID_LOCATION: "'location' debe ser un objeto",
+    "INVALID_LOCATION.COORDINATES":
+      "'location' requiere 'latitude' (-90 a 90) y 'longitude' (-180 a 180)",
+    INVALID_MEDIA: "Archivo inválido",
+    "INVALID_MEDIA.EMPTY": "El archivo está vacío",
+    "INVALID_MEDIA.FILENAME": "Nombre de archivo inválido",
+    "INVALID_MEDIA.URL": "URL de archivo inválida",
+    "INVALID_MEDIA.PRIVATE_URL":
+      "La URL del archivo apunta a una dirección privada o local",
+    "INVALID_MEDIA.BASE64": "'media.data' no es base64 válido",
+    "INVALID_MEDIA.NOT_OBJECT": "'media' debe ser un objeto con 'data' o 'url'",
+    "INVALID_MEDIA.NO_SOURCE": "'media' debe incluir 'data' (base64) o 'url'",
+    "INVALID_MEDIA.UPLOAD": "Error al procesar el archivo: {detail}",
+    UNSUPPORTED_MEDIA_TYPE: "Tipo de archivo no permitido: {mimetype}",
+    MEDIA_TOO_LARGE: "El archivo excede el tamaño máximo de {max}",
+    MEDIA_DOWNLOAD_FAILED: "No se pudo descargar el archivo: {detail}",
+    SEND_FAILED:
+      "Error al enviar el mensaje. Por favor verifica el número e intenta de nuevo.",
+    SEND_INTERRUPTED:
+      "Envío interrumpido por un reinicio; no se sabe si se entregó",
+    MESSAGE_NOT_FOUND: "No existe un mensaje en cola con ese id",
+    RECEIPT_NOT_FOUND: "No hay acuse de entrega para este id de mensaje",
+    BATCH_NOT_FOUND: "No existe un lote con ese id",
+    CHAT_NOT_FOUND: "Chat no encontrado",
+
+    GROUP_NOT_FOUND:
+      "El grupo '{groupId}' no existe o la cuenta ya no es miembro",
+    INVALID_GROUP: "Grupo inválido",
+    "INVALID_GROUP.ID":
+      "Id de grupo inválido. Usa el id que da GET /groups, p. ej. 120363025246125486@g.us",
+    "INVALID_GROUP.NAME": "'name' es requerido (máximo {max} caracteres)",
+    "INVALID_GROUP.SUBJECT":
+      "'subject' no puede estar vacío (máximo {max} caracteres)",
+    "INVALID_GROUP.DESCRIPTION":
+      "'description' debe ser texto de máximo {max} caracteres",
+    "INVALID_GROUP.PARTICIPANTS":
+      "'participants' debe ser una lista de 1 a {max} números",
+    GROUP_ADMIN_REQUIRED:
+      "La cuenta vinculada debe ser administradora del grupo para esto",
+    GROUP_ACTION_FAILED: "WhatsApp rechazó la operación sobre el grupo",
+
+    TEMPLATE_NOT_FOUND: "La plantilla '{name}' no existe",
+    TEMPLATE_EXISTS: "La plantilla '{name}' ya existe",
+    INVALID_TEMPLATE: "Plantilla inválida",
+    "INVALID_TEMPLATE.NAME":
+      "Nombre de plantilla inválido. Usa de 1 a 64 letras, números, '-' o '_'.",
+    "INVALID_TEMPLATE.LOCALES":
+      '\'locales\' debe ser un objeto de códigos de idioma a texto, p. ej. { "es": "Hola {{nombre}}" }',
+    "INVALID_TEMPLATE.LOCALE":
+      "Idioma inválido '{locale}'. Usa un código como 'es', 'en' o 'es-MX'.",
+    "INVALID_TEMPLATE.EMPTY_TEXT":
+      "El texto del idioma '{locale}' no puede estar vacío",
+    "INVALID_TEMPLATE.DEFAULT_LOCALE":
+      "'defaultLocale' ({locale}) debe ser uno de los idiomas de la plantilla",
+    "INVALID_TEMPLATE.DESCRIPTION": "'description' debe ser texto",
+    "INVALID_TEMPLATE.VARIABLES": "'variables' debe ser un objeto",
+    MISSING_VARIABLES: "Faltan variables requeridas: {missing}",
+
+    WEBHOOK_NOT_FOUND: "Webhook no encontrado",
+    INVALID_WEBHOOK: "Webhook inválido",
+    "INVALID_WEBHOOK.URL": "'url' debe ser una URL http(s) válida",
+    "INVALID_WEBHOOK.EVENTS":
+      "'events' debe ser una lista no vacía de: *, {events}",
+    "INVALID_WEBHOOK.SESSION_ID": "'sessionId' debe ser texto",
+    "INVALID_WEBHOOK.PRIVATE_URL":
+      "'url' apunta a una dirección privada o local",
+    "INVALID_WEBHOOK.HOST": "No se pudo resolver el host de 'url': {detail}",
+    "INVALID_WEBHOOK.SECRET": "'secret' debe ser un texto no vacío",
+
+    SCHEDULE_NOT_FOUND: "Mensaje programado no encontrado",
+    SCHEDULE_NOT_ACTIVE: "El mensaje programado ya no está activo ({status})",
+    INVALID_SCHEDULE: "Programación inválida",
+    "INVALID_SCHEDULE.WHEN_REQUIRED": "Indica 'sendAt' o 'recurrence'",
+    "INVALID_SCHEDULE.SEND_AT":
+      "'sendAt' debe ser una fecha ISO 8601, p. ej. 2024-06-03T09:00",
+    "INVALID_SCHEDULE.UNTIL":
+      "'until' debe ser una fecha ISO 8601 posterior a la siguiente ejecución",
+    "INVALID_SCHEDULE.IN_PAST": "'sendAt' ya pasó",
+    "INVALID_SCHEDULE.TIMEZONE": "Zona horaria desconocida '{timezone}'",
+    "INVALID_SCHEDULE.RECURRENCE":
+      "'recurrence' debe ser una expresión cron, p. ej. '0 9 * * 1-5'",
+    "INVALID_SCHEDULE.CATCH_UP": "'catchUpMinutes' debe ser un entero positivo",
+    "INVALID_SCHEDULE.MESSAGE": "'message' debe ser texto",
+
+    AUTO_REPLY_NOT_FOUND: "La respuesta automática '{id}' no existe",
+    INVALID_AUTO_REPLY: "Respuesta automática inválida",
+    "INVALID_AUTO_REPLY.NAME":
+      "'name' es obligatorio, de hasta {max} caracteres",
+    "INVALID_AUTO_REPLY.PRIORITY": "'priority' debe ser un entero",
+    "INVALID_AUTO_REPLY.COOLDOWN":
+      "'cooldownMinutes' debe ser un entero no negativo",
+    "INVALID_AUTO_REPLY.SESSION": "'sessionId' debe ser texto",
+    "INVALID_AUTO_REPLY.MATCH":
+      "'match' debe incluir 'keywords' o 'regex', no ambos",
+    "INVALID_AUTO_REPLY.KEYWORDS":
+      "'match.keywords' debe ser una lista no vacía de textos",
+    "INVALID_AUTO_REPLY.REGEX":
+      "'match.regex' debe ser una expresión regular válida de hasta {max} caracteres",
+    "INVALID_AUTO_REPLY.UNSAFE_REGEX":
+      "'match.regex' puede tardar demasiado en evaluarse (repeticiones anidadas); simplifícala",
+    "INVALID_AUTO_REPLY.HOURS": "'hours' debe ser un objeto con 'from' y 'to'",
+    "INVALID_AUTO_REPLY.DAYS":
+      "'hours.days' debe ser una lista de días del 1 (lunes) al 7 (domingo)",
+    "INVALID_AUTO_REPLY.TIME":
+      "'hours.from' y 'hours.to' deben tener formato HH:mm",
+    "INVALID_AUTO_REPLY.TIMEZONE": "Zona horaria desconocida '{timezone}'",
+    "INVALID_AUTO_REPLY.WHEN_STATE":
+      "'whenState' debe tener de 1 a 64 letras, números, '_' o '-'",
+    "INVALID_AUTO_REPLY.SET_STATE":
+      "'setState' debe tener de 1 a 64 letras, números, '_' o '-'",
+    "INVALID_AUTO_REPLY.REPLY":
+      "'reply' debe incluir 'message' o 'template', no ambos",
+    "INVALID_AUTO_REPLY.ACTION":
+      "La regla debe responder, avisar por webhook o cambiar el estado del chat",
+
+    SNAPSHOT_NOT_FOUND: "Snapshot '{id}' no encontrado",
+    SNAPSHOT_NO_PROFILE:
+      "La sesión aún no tiene perfil guardado. Vincúlala primero.",
+    SNAPSHOT_UNREADABLE: "No se pudo leer el snapshot",
+    "SNAPSHOT_UNREADABLE.KEY_MISSING":
+      "El snapshot está cifrado y SNAPSHOT_ENCRYPTION_KEY no está configurada",
+    "SNAPSHOT_UNREADABLE.KEY_MISMATCH":
+      "No se pudo descifrar el snapshot: la clave es otra o el archivo está dañado",
+    "SNAPSHOT_UNREADABLE.CORRUPT": "El snapshot está dañado",
+  },
+
+  en: {
+    INTERNAL_ERROR: "Internal server error",
+    NOT_FOUND: "Route not found: {method} {path}",
+    INVALID_JSON: "The request body is not valid JSON",
+    PAYLOAD_TOO_LARGE: "The request body is too large",
+    ORIGIN_NOT_ALLOWED: "Origin not allowed by CORS",
+    INVALID_REQUEST: "Invalid request",
+    "INVALID_REQUEST.RECIPIENTS_REQUIRED":
+      "'recipients' must be a non-empty array",
+    "INVALID_REQUEST.TOO_MANY_RECIPIENTS": "At most {max} recipients per batch",
+    "INVALID_REQUEST.MESSAGE_REQUIRED":
+      "Provide 'message' or 'template', or a 'message' for every recipient",
+    "INVALID_REQUEST.NUMBERS_REQUIRED":
+      "Provide 'number' or a 'numbers' array of up to {max}",
+    "INVALID_REQUEST.AUDIT_DATE": "'{field}' must be an ISO 8601 date",
+    "INVALID_REQUEST.MESSAGE_IDS_REQUIRED":
+      "'messageIds' must be a non-empty array of message id strings",
+    "INVALID_REQUEST.TOO_MANY_MESSAGE_IDS":
+      "At most {max} message ids per lookup",
+    "INVALID_REQUEST.IDEMPOTENCY_KEY":
+      "The idempotency key must be 1 to {max} characters",
+    "INVALID_REQUEST.OPT_OUT_REASON": "'reason' must be a string",
+    "INVALID_REQUEST.TEST_TIME": "'at' must be an ISO 8601 date",
+    IDEMPOTENCY_KEY_REUSED:
+      "The idempotency key was already used for a different message",
+
+    AUTH_REQUIRED: "Authentication required. No token provided.",
+    TOKEN_EXPIRED: "Token expired. Please login again.",
+    TOKEN_INVALID: "Invalid token. Please login again.",
+    API_KEY_INVALID: "Invalid, revoked or expired API key",
+    INSUFFICIENT_SCOPE:
+      "You are not allowed to do this (requires the '{scope}' scope)",
+    API_KEY_NOT_FOUND: "API key not found",
+    INVALID_API_KEY: "Invalid API key",
+    "INVALID_API_KEY.NAME": "'name' is required (at most 100 characters)",
+    "INVALID_API_KEY.ROLE": "Unknown role '{role}'. Use one of: {roles}",
+    "INVALID_API_KEY.SCOPES": "'scopes' must be a list of: {scopes}",
+    "INVALID_API_KEY.EXPIRES": "'expiresInDays' must be a positive integer",
+
+    SESSION_NOT_FOUND: "Session '{sessionId}' not found",
+    SESSION_EXISTS: "Session '{sessionId}' already exists",
+    INVALID_SESSION_ID:
+      "Invalid session id. Use 1-64 letters, numbers, '-' or '_'.",
+    DEFAULT_SESSION_PROTECTED: "The default session cannot be removed",
+    RECONNECT_IN_PROGRESS: "Reconnection already in progress",
+    ALREADY_CONNECTED: "The session is already connected",
+    PAIRING_CODE_TIMEOUT:
+      "WhatsApp did not issue a pairing code in time, please try again",
+    CLIENT_NOT_READY:
+      "The WhatsApp client is not ready. Connect first using the /connect endpoint",
+    SESSION_LOST:
+      "The WhatsApp session expired or the connection was lost. Reconnecting automatically.",
+    CONNECTION_ERROR:
+      "Connection error with WhatsApp. Reconnecting automatically.",
+
+    MISSING_FIELDS: "Missing required fields: {fields}",
+    INVALID_NUMBER: "Invalid phone number",
+    "INVALID_NUMBER.NUMBER_REQUIRED": "The phone number is missing",
+    "INVALID_NUMBER.NOT_A_NUMBER": "The value is not a phone number",
+    "INVALID_NUMBER.INVALID_COUNTRY": "Unknown country calling code",
+    "INVALID_NUMBER.TOO_SHORT": "The number is too short",
+    "INVALID_NUMBER.TOO_LONG": "The number is too long",
+    "INVALID_NUMBER.INVALID_LENGTH": "The number does not have a valid length",
+    "INVALID_NUMBER.NOT_ASSIGNABLE": "The number is not valid",
+    UNKNOWN_COUNTRY:
+      "Unknown country '{country}'. Use a code such as 'MX' or 'US'.",
+    NOT_ON_WHATSAPP: "This number is not on WhatsApp",
+    RECIPIENT_OPTED_OUT:
+      "{number} asked not to be contacted; nothing will be sent to it",
+    OPT_OUT_NOT_FOUND: "{number} is not on the opt-out list",
+    INVALID_LOCATION: "'location' must be an object",
+    "INVALID_LOCATION.COORDINATES":
+      "'location' requires 'latitude' (-90 to 90) and 'longitude' (-180 to 180)",
+    INVALID_MEDIA: "Invalid file",
+    "INVALID_MEDIA.EMPTY": "The file is empty",
+    "INVALID_MEDIA.FILENAME": "Invalid file name",
+    "INVALID_MEDIA.URL": "Invalid file URL",
+    "INVALID_MEDIA.PRIVATE_URL":
+      "The file URL points to a private or local address",
+    "INVALID_MEDIA.BASE64": "'media.data' is not valid base64",
+    "INVALID_MEDIA.NOT_OBJECT":
+      "'media' must be an object with 'data' or 'url'",
+    "INVALID_MEDIA.NO_SOURCE": "'media' must include 'data' (base64) or 'url'",
+    "INVALID_MEDIA.UPLOAD": "Could not process the file: {detail}",
+    UNSUPPORTED_MEDIA_TYPE: "File type not allowed: {mimetype}",
+    MEDIA_TOO_LARGE: "The file exceeds the maximum size of {max}",
+    MEDIA_DOWNLOAD_FAILED: "Could not download the file: {detail}",
+    SEND_FAILED:
+      "Could not send the message. Please check the number and try again.",
+    SEND_INTERRUPTED:
+      "Send interrupted by a restart; it is unknown whether it was delivered",
+    MESSAGE_NOT_FOUND: "Message job not found",
+    RECEIPT_NOT_FOUND: "No delivery receipt tracked for this message id",
+    BATCH_NOT_FOUND: "Batch not found",
+    CHAT_NOT_FOUND: "Chat not found",
+
+    GROUP_NOT_FOUND:
+      "Group '{groupId}' does not exist or the account is no longer a member",
+    INVALID_GROUP: "Invalid group",
+    "INVALID_GROUP.ID":
+      "Invalid group id. Use the id from GET /groups, e.g. 120363025246125486@g.us",
+    "INVALID_GROUP.NAME": "'name' is required (at most {max} characters)",
+    "INVALID_GROUP.SUBJECT":
+      "'subject' cannot be empty (at most {max} characters)",
+    "INVALID_GROUP.DESCRIPTION":
+      "'description' must be text of at most {max} characters",
+    "INVALID_GROUP.PARTICIPANTS":
+      "'participants' must be a list of 1 to {max} numbers",
+    GROUP_ADMIN_REQUIRED: "The linked account must be a group admin to do this",
+    GROUP_ACTION_FAILED: "WhatsApp rejected the group operation",
+
+    TEMPLATE_NOT_FOUND: "Template '{name}' not found",
+    TEMPLATE_EXISTS: "Template '{name}' already exists",
+    INVALID_TEMPLATE: "Invalid template",
+    "INVALID_TEMPLATE.NAME":
+      "Invalid template name. Use 1-64 letters, numbers, '-' or '_'.",
+    "INVALID_TEMPLATE.LOCALES":
+      '\'locales\' must be an object mapping locale codes to text, e.g. { "es": "Hola {{nombre}}" }',
+    "INVALID_TEMPLATE.LOCALE":
+      "Invalid locale '{locale}'. Use a code such as 'es', 'en' or 'es-MX'.",
+    "INVALID_TEMPLATE.EMPTY_TEXT":
+      "Text for locale '{locale}' must be non-empty",
+    "INVALID_TEMPLATE.DEFAULT_LOCALE":
+      "'defaultLocale' ({locale}) must be one of the template's locales",
+    "INVALID_TEMPLATE.DESCRIPTION": "'description' must be a string",
+    "INVALID_TEMPLATE.VARIABLES": "'variables' must be an object",
+    MISSING_VARIABLES: "Missing required variables: {missing}",
+
+    WEBHOOK_NOT_FOUND: "Webhook not found",
+    INVALID_WEBHOOK: "Invalid webhook",
+    "INVALID_WEBHOOK.URL": "'url' must be a valid http(s) URL",
+    "INVALID_WEBHOOK.EVENTS":
+      "'events' must be a non-empty array of: *, {events}",
+    "INVALID_WEBHOOK.SESSION_ID": "'sessionId' must be a string",
+    "INVALID_WEBHOOK.PRIVATE_URL": "'url' points to a private or local address",
+    "INVALID_WEBHOOK.HOST": "Could not resolve the host of 'url': {detail}",
+    "INVALID_WEBHOOK.SECRET": "'secret' must be a non-empty string",
+
+    SCHEDULE_NOT_FOUND: "Scheduled message not found",
+    SCHEDULE_NOT_ACTIVE: "The scheduled message is no longer active ({status})",
+    INVALID_SCHEDULE: "Invalid schedule",
+    "INVALID_SCHEDULE.WHEN_REQUIRED": "Provide 'sendAt' or 'recurrence'",
+    "INVALID_SCHEDULE.SEND_AT":
+      "'sendAt' must be an ISO 8601 date, e.g. 2024-06-03T09:00",
+    "INVALID_SCHEDULE.UNTIL":
+      "'until' must be an ISO 8601 date after the next run",
+    "INVALID_SCHEDULE.IN_PAST": "'sendAt' is in the past",
+    "INVALID_SCHEDULE.TIMEZONE": "Unknown time zone '{timezone}'",
+    "INVALID_SCHEDULE.RECURRENCE":
+      "'recurrence' must be a cron expression, e.g. '0 9 * * 1-5'",
+    "INVALID_SCHEDULE.CATCH_UP": "'catchUpMinutes' must be a positive integer",
+    "INVALID_SCHEDULE.MESSAGE": "'message' must be a string",
+
+    AUTO_REPLY_NOT_FOUND: "Auto-reply '{id}' not found",
+    INVALID_AUTO_REPLY: "Invalid auto-reply",
+    "INVALID_AUTO_REPLY.NAME": "'name' is required, up to {max} characters",
+    "INVALID_AUTO_REPLY.PRIORITY": "'priority' must be an integer",
+    "INVALID_AUTO_REPLY.COOLDOWN":
+      "'cooldownMinutes' must be a non-negative integer",
+    "INVALID_AUTO_REPLY.SESSION": "'sessionId' must be a string",
+    "INVALID_AUTO_REPLY.MATCH":
+      "'match' must include 'keywords' or 'regex', not both",
+    "INVALID_AUTO_REPLY.KEYWORDS":
+      "'match.keywords' must be a non-empty list of strings",
+    "INVALID_AUTO_REPLY.REGEX":
+      "'match.regex' must be a valid regular expression of up to {max} characters",
+    "INVALID_AUTO_REPLY.UNSAFE_REGEX":
+      "'match.regex' could take too long to evaluate (nested repetition); simplify it",
+    "INVALID_AUTO_REPLY.HOURS":
+      "'hours' must be an object with 'from' and 'to'",
+    "INVALID_AUTO_REPLY.DAYS":
+      "'hours.days' must be a list of days from 1 (Monday) to 7 (Sunday)",
+    "INVALID_AUTO_REPLY.TIME": "'hours.from' and 'hours.to' must be HH:mm",
+    "INVALID_AUTO_REPLY.TIMEZONE": "Unknown time zone '{timezone}'",
+    "INVALID_AUTO_REPLY.WHEN_STATE":
+      "'whenState' must be 1 to 64 letters, digits, '_' or '-'",
+    "INVALID_AUTO_REPLY.SET_STATE":
+      "'setState' must be 1 to 64 letters, digits, '_' or '-'",
+    "INVALID_AUTO_REPLY.REPLY":
+      "'reply' must include 'message' or 'template', not both",
+    "INVALID_AUTO_REPLY.ACTION":
+      "The rule must reply, notify a webhook or set the chat state",
+
+    SNAPSHOT_NOT_FOUND: "Snapshot '{id}' not found",
+    SNAPSHOT_NO_PROFILE: "The session has no saved profile yet. Link it first.",
+    SNAPSHOT_UNREADABLE: "The snapshot could not be read",
+    "SNAPSHOT_UNREADABLE.KEY_MISSING":
+      "The snapshot is encrypted and SNAPSHOT_ENCRYPTION_KEY is not set",
+    "SNAPSHOT_UNREADABLE.KEY_MISMATCH":
+      "The snapshot could not be decrypted: the key differs or the file is damaged",
+    "SNAPSHOT_UNREADABLE.CORRUPT": "The snapshot is damaged",
+  },
+};
+
+function format(code, params = {}, language = DEFAULT_LANGUAGE) {
+  const messages = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+  const template =
+    (params.reason && messages[`${code}.${params.reason}`]) ||
+    messages[code] ||
+    MESSAGES[DEFAULT_LANGUAGE][code] ||
+    code;
+
+  // Single braces only, so "{{nombre}}" in the template help text survives.
+  return template.replace(/(?<!\{)\{(\w+)\}(?!\})/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  });
+}
+
+// Creates an Error for a catalog code. `params` fill the message (and
+// `params.reason` picks a more specific wording); `details` are extra fields
+// for the JSON response body.
+function apiError(code, params = {}, details) {
+  const entry = CODES[code] || CODES.INTERNAL_ERROR;
+  const err = new Error(format(code, params));
+  err.code = code;
+  err.status = entry.status;
+  err.params = params;
+  if (details) err.details = details;
+  return err;
+}
+
+function languageOf(req) {
+  return (req && req.acceptsLanguages(...LANGUAGES)) || DEFAULT_LANGUAGE;
+}
+
+// Rebuilds a stored `{ code, params }` error (e.g. a failed queue job) in
+// the caller's language.
+function localize(error, req) {
+  if (!error || !error.code) return error;
+  return {
+    ...error,
+    message: format(error.code, error.params, languageOf(req)),
+  };
+}
+
+// Response body for any thrown error. Errors without a code are unexpected
+// and reported as INTERNAL_ERROR with the original message as `error`.
+function toBody(error, req) {
+  if (!error.code || !CODES[error.code]) {
+    return {
+      status: "error",
+      code: "INTERNAL_ERROR",
+      message: format("INTERNAL_ERROR", {}, languageOf(req)),
+      error: error.message || "Unknown error",
+    };
+  }
+
+  return {
+    status: "error",
+    code: error.code,
+    message: format(error.code, error.params, languageOf(req)),
+    ...(error.params && error.params.reason
+      ? { reason: error.params.reason }
+      : {}),
+    ...error.details,
+  };
+}
+
+function send(req, res, error, extra) {
+  const status = error.code && CODES[error.code] ? error.status : 500;
+  res.status(status).json({ ...toBody(error, req), ...extra });
+}
+
+// Maps a whatsapp-web.js / puppeteer send failure to a catalog code, and
+// says whether retrying can help and whether the client should reconnect.
+function classify(error) {
+  let code = "SEND_FAILED";
+
+  if (error.code && CODES[error.code]) {
+    code = error.code;
+  } else {
+    const msg = error.message || "";
+    const name = error.name || "";
+
+    if (
+      msg.includes("Session closed") ||
+      msg.includes("Target closed") ||
+      msg.includes("Protocol error") ||
+      msg.includes("Target.setDiscoverTargets") ||
+      name === "TargetCloseError" ||
+      name === "ProtocolError"
+    ) {
+      code = "SESSION_LOST";
+    } else if (
+      msg.includes("Evaluation failed") ||
+      msg.includes("ExecutionContext")
+    ) {
+      code = "CONNECTION_ERROR";
+    } else if (
+      // WhatsApp Web fails in several obscure ways for unknown numbers,
+      // including a minified error whose whole message is "t".
+      msg === "t" ||
+      msg.includes("LID for user") ||
+      msg.includes("markedUnread") ||
+      msg.includes("Cannot read properties of undefined") ||
+      msg.includes("not registered") ||
+      msg.includes("not found")
+    ) {
+      code = "NOT_ON_WHATSAPP";
+    }
+  }
+
+  const entry = CODES[code];
+  return {
+    code,
+    status: entry.status,
+    retryable: Boolean(entry.retryable),
+    reconnect: Boolean(entry.reconnect),
+  };
+}
+
+module.exports = {
+  CODES,
+  format,
+  apiError,
+  localize,
+  send,
+  classify,
+};
@@ -0,0 +1,272 @@
+const phone = require("./phone");
+const errors = require("./errors");
+
+// Group ids are the creator's number and a timestamp ("5218117858904-
+// 1609459200@g.us") for old groups, or a single long number for new ones.
+const GROUP_ID_PATTERN = /^\d+(-\d+)?@g\.us$/;
+const INVITE_LINK_BASE = "https://chat.whatsapp.com/";
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2048;
+const MAX_PARTICIPANTS = 256;
+
+// WhatsApp's per-participant result codes when adding to a group.
+const ADD_STATUSES = {
+  200: "added",
+  403: "invite_required",
+  404: "not_on_whatsapp",
+  408: "left_recently",
+  409: "already_member",
+  419: "group_full",
+};
+
+function invalid(reason, params) {
+  return errors.apiError("INVALID_GROUP", { reason, ...params });
+}
+
+function isGroupId(id) {
+  return typeof id === "string" && GROUP_ID_PATTERN.test(id);
+}
+
+// Accepts the id with or without "@g.us", which is awkward in URLs.
+function parseGroupId(id) {
+  const groupId = /^\d+(-\d+)?$/.test(id) ? `${id}@g.us` : id;
+  if (!isGroupId(groupId)) throw invalid("ID");
+  return groupId;
+}
+
+function participantNumbers(participants) {
+  if (
+    !Array.isArray(participants) ||
+    participants.length === 0 ||
+    participants.length > MAX_PARTICIPANTS
+  ) {
+    throw invalid("PARTICIPANTS", { max: MAX_PARTICIPANTS });
+  }
+  return [...new Set(participants.map((p) => phone.normalize(p).number))];
+}
+
+// WhatsApp's id for each number, which can differ from the number itself
+// (Mexican mobiles keep the old "521" prefix). Numbers it does not know
+// are passed on as they are and come back as "not_on_whatsapp".
+async function participantIds(client, numbers) {
+  const ids = [];
+  for (const number of numbers) {
+    const numberId = await client.getNumberId(number);
+    ids.push(numberId ? numberId._serialized : `${number}@c.us`);
+  }
+  return ids;
+}
+
+function checkText(value, reason, max) {
+  if (typeof value !== "string" || value.length > max) {
+    throw invalid(reason, { max });
+  }
+}
+
+function participantView(participant) {
+  const { id } = participant;
+  return {
+    id: id._serialized,
+    // Members that joined under a LID have no visible number.
+    number: id.server === "c.us" ? id.user : null,
+    isAdmin: Boolean(participant.isAdmin),
+    isSuperAdmin: Boolean(participant.isSuperAdmin),
+  };
+}
+
+function toView(chat, { withParticipants = false } = {}) {
+  const metadata = chat.groupMetadata || {};
+  const participants = metadata.participants || [];
+  return {
+    id: chat.id._serialized,
+    name: chat.name,
+    description: metadata.desc || null,
+    owner: metadata.owner ? metadata.owner._serialized : null,
+    createdAt: metadata.creation
+      ? new Date(metadata.creation * 1000).toISOString()
+      : null,
+    readOnly: Boolean(chat.isReadOnly),
+    participantCount: participants.length,
+    ...(withParticipants
+      ? { participants: participants.map(participantView) }
+      : {}),
+  };
+}
+
+// One entry per requested participant, from the result maps createGroup
+// and addParticipants return (keyed by participant id).
+function addResults(numbers, ids, results) {
+  return ids.map((id, index) => {
+    const result = results[id] || {};
+    const code = result.code ?? result.statusCode ?? null;
+    let status = ADD_STATUSES[code] || "failed";
+    if (status === "invite_required" && result.isInviteV4Sent) {
+      status = "invited";
+    }
+    return {
+      number: numbers[index],
+      participant: id,
+      status,
+      code,
+      ...(status === "failed" ? { error: result.message || null } : {}),
+    };
+  });
+}
+
+// Only groups the account belongs to are listed as chats, so an id that
+// is not among them is unknown or has been left.
+async function findGroup(client, groupId) {
+  const chats = await client.getChats();
+  const chat = chats.find((c) => c.isGroup && c.id._serialized === groupId);
+  if (!chat) throw errors.apiError("GROUP_NOT_FOUND", { groupId });
+  return chat;
+}
+
+// Runs a group action with the session's client, with the send path's
+// readiness check. Browser failures restart the client as a failed send
+// would; anything else WhatsApp rejects is GROUP_ACTION_FAILED.
+async function withClient(session, action) {
+  const client = session.getClient();
+  if (!client || !session.getStatus().ready) {
+    throw errors.apiError("CLIENT_NOT_READY");
+  }
+
+  try {
+    return await action(client);
+  } catch (error) {
+    if (error.code && errors.CODES[error.code]) throw error;
+
+    const failure = errors.classify(error);
+    if (failure.reconnect) {
+      session.reconnect().catch(() => {
+        // Already reconnecting
+      });
+      throw errors.apiError(failure.code);
+    }
+    throw errors.apiError(
+      "GROUP_ACTION_FAILED",
+      {},
+      { error: error.message || "Unknown error" }
+    );
+  }
+}
+
+// The library reports some refusals as a returned string instead of
+// throwing.
+function rejected(message) {
+  if (/admin/i.test(message)) return errors.apiError("GROUP_ADMIN_REQUIRED");
+  return errors.apiError("GROUP_ACTION_FAILED", {}, { error: message });
+}
+
+async function list(session) {
+  return withClient(session, async (client) => {
+    const chats = await client.getChats();
+    return chats.filter((chat) => chat.isGroup).map((chat) => toView(chat));
+  });
+}
+
+async function get(session, groupId) {
+  return withClient(session, async (client) =>
+    toView(await findGroup(client, groupId), { withParticipants: true })
+  );
+}
+
+// Numbers that only accept invitations are sent one privately (status
+// "invited") instead of being added.
+async function create(session, { name, participants }) {
+  checkText(name, "NAME", MAX_SUBJECT_LENGTH);
+  if (name.trim() === "") throw invalid("NAME", { max: MAX_SUBJECT_LENGTH });
+  const numbers = participantNumbers(participants);
+
+  return withClient(session, async (client) => {
+    const ids = await participantIds(client, numbers);
+    const result = await client.createGroup(name.trim(), ids);
+    if (typeof result === "string") throw rejected(result);
+    return {
+      id: result.gid._serialized,
+      name: result.title,
+      participants: addResults(numbers, ids, result.participants),
+    };
+  });
+}
+
+async function addParticipants(session, groupId, participants) {
+  const numbers = participantNumbers(participants);
+
+  return withClient(session, async (client) => {
+    const chat = await findGroup(client, groupId);
+    const ids = await participantIds(client, numbers);
+    const result = await chat.addParticipants(ids);
+    if (typeof result === "string") throw rejected(result);
+    return addResults(numbers, ids, result);
+  });
+}
+
+async function removeParticipant(session, groupId, participant) {
+  const numbers = participantNumbers([participant]);
+
+  return withClient(session, async (client) => {
+    const chat = await findGroup(client, groupId);
+    const [id] = await participantIds(client, numbers);
+    await chat.removeParticipants([id]);
+    return { number: numbers[0], participant: id, status: "removed" };
+  });
+}
+
+// `subject` and `description` are both optional; each returns false from
+// WhatsApp when only admins may change group info.
+async function update(session, groupId, { subject, description }) {
+  if (subject === undefined && description === undefined) {
+    throw errors.apiError("MISSING_FIELDS", {
+      fields: ["subject|description"],
+    });
+  }
+  if (subject !== undefined) {
+    checkText(subject, "SUBJECT", MAX_SUBJECT_LENGTH);
+    if (subject.trim() === "") {
+      throw invalid("SUBJECT", { max: MAX_SUBJECT_LENGTH });
+    }
+  }
+  if (description !== undefined) {
+    checkText(description, "DESCRIPTION", MAX_DESCRIPTION_LENGTH);
+  }
+
+  return withClient(session, async (client) => {
+    const chat = await findGroup(client, groupId);
+    if (subject !== undefined && !(await chat.setSubject(subject.trim()))) {
+      throw errors.apiError("GROUP_ADMIN_REQUIRED");
+    }
+    if (
+      description !== undefined &&
+      !(await chat.setDescription(description))
+    ) {
+      throw errors.apiError("GROUP_ADMIN_REQUIRED");
+    }
+    return toView(chat);
+  });
+}
+
+// WhatsApp only gives admins the invite code.
+async function inviteLink(session, groupId) {
+  return withClient(session, async (client) => {
+    const chat = await findGroup(client, groupId);
+    const code = await chat.getInviteCode();
+    if (typeof code !== "string" || code === "") {
+      throw errors.apiError("GROUP_ADMIN_REQUIRED");
+    }
+    return { groupId, code, link: `${INVITE_LINK_BASE}${code}` };
+  });
+}
+
+module.exports = {
+  isGroupId,
+  parseGroupId,
+  findGroup,
+  list,
+  get,
+  create,
+  addParticipants,
+  removeParticipant,
+  update,
+  inviteLink,
+};
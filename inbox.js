@@ -0,0 +1,206 @@
+const path = require("path");
+const whatsapp = require("./whatsapp");
+const { createJsonStore } = require("./store");
+const errors = require("./errors");
+
+const MAX_MESSAGES_PER_CHAT = 500;
+const SAVE_DELAY = 1000;
+const MAX_PAGE_SIZE = 200;
+
+// Status updates and broadcast lists are not conversations.
+const IGNORED_CHATS = new Set(["status@broadcast"]);
+
+const store = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "inbox.json"),
+  { sessions: {} }
+);
+
+let saveTimer = null;
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    store.save();
+  }, SAVE_DELAY);
+}
+
+function chatSummary(chat) {
+  const last = chat.messages[chat.messages.length - 1] || null;
+  return {
+    chatId: chat.chatId,
+    name: chat.name,
+    unreadCount: chat.unreadCount,
+    lastMessageAt: chat.lastMessageAt,
+    lastReadAt: chat.lastReadAt,
+    lastMessage: last
+      ? {
+          id: last.id,
+          fromMe: last.fromMe,
+          type: last.type,
+          body: last.body,
+          timestamp: last.timestamp,
+        }
+      : null,
+  };
+}
+
+// Read-only: a session with no messages yet gets an empty object that is
+// not added to the store.
+async function getChats(sessionId) {
+  const data = await store.load();
+  return Object.hasOwn(data.sessions, sessionId)
+    ? data.sessions[sessionId]
+    : {};
+}
+
+// Chat ids come from the URL, so "constructor" or "__proto__" must not
+// find what the object inherits.
+function findChat(chats, chatId) {
+  return Object.hasOwn(chats, chatId) ? chats[chatId] : null;
+}
+
+async function record(sessionId, msg) {
+  const serialized = whatsapp.serializeMessage(msg);
+  if (IGNORED_CHATS.has(serialized.chatId)) return;
+
+  let replyTo = null;
+  if (msg.hasQuotedMsg) {
+    try {
+      const quoted = await msg.getQuotedMessage();
+      replyTo = quoted ? quoted.id._serialized : null;
+    } catch {
+      // The quoted message may no longer be loaded in WhatsApp Web
+    }
+  }
+
+  const data = await store.load();
+  if (!Object.hasOwn(data.sessions, sessionId)) data.sessions[sessionId] = {};
+  const chats = data.sessions[sessionId];
+  let chat = findChat(chats, serialized.chatId);
+  if (!chat) {
+    chat = chats[serialized.chatId] = {
+      chatId: serialized.chatId,
+      name: null,
+      unreadCount: 0,
+      lastMessageAt: null,
+      lastReadAt: null,
+      messages: [],
+    };
+  }
+
+  if (chat.messages.some((m) => m.id === serialized.id)) return;
+
+  const { hasQuotedMsg, chatId, ...stored } = serialized;
+  chat.messages.push({ ...stored, replyTo });
+  chat.messages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  if (chat.messages.length > MAX_MESSAGES_PER_CHAT) {
+    chat.messages.splice(0, chat.messages.length - MAX_MESSAGES_PER_CHAT);
+  }
+
+  chat.lastMessageAt = chat.messages[chat.messages.length - 1].timestamp;
+  if (!serialized.fromMe) {
+    chat.unreadCount++;
+    if (serialized.senderName) chat.name = serialized.senderName;
+  }
+  scheduleSave();
+}
+
+function capture(sessionId, msg) {
+  record(sessionId, msg).catch((err) => {
+    console.error(`[${sessionId}] Error storing message:`, err.message);
+  });
+}
+
+async function start() {
+  await store.load();
+
+  whatsapp.events.on("message", capture);
+  // "message" only fires for incoming messages; replies sent from this
+  // service or from the phone arrive through "message_create".
+  whatsapp.events.on("message_create", (sessionId, msg) => {
+    if (msg.fromMe) capture(sessionId, msg);
+  });
+}
+
+async function listChats(sessionId, { unreadOnly = false } = {}) {
+  const chats = await getChats(sessionId);
+  return Object.values(chats)
+    .filter((chat) => !unreadOnly || chat.unreadCount > 0)
+    .sort((a, b) =>
+      (b.lastMessageAt || "").localeCompare(a.lastMessageAt || "")
+    )
+    .map(chatSummary);
+}
+
+// Pages backwards from the newest message. `before` is the id of the
+// oldest message of the previous page.
+async function getMessages(sessionId, chatId, { before, limit = 50 } = {}) {
+  const chats = await getChats(sessionId);
+  const chat = findChat(chats, chatId);
+  if (!chat) return null;
+
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  let end = chat.messages.length;
+  if (before) {
+    // An unknown cursor has been trimmed away; there is nothing older.
+    end = Math.max(
+      chat.messages.findIndex((m) => m.id === before),
+      0
+    );
+  }
+  const start = Math.max(end - pageSize, 0);
+
+  return {
+    chat: chatSummary(chat),
+    messages: chat.messages.slice(start, end),
+    nextBefore: start > 0 ? chat.messages[start].id : null,
+  };
+}
+
+// Sends the read receipt through the session's client, so the chat is
+// also read on the phone, then clears the inbox's unread count.
+async function markRead(session, chatId) {
+  const chats = await getChats(session.id);
+  const chat = findChat(chats, chatId);
+  if (!chat) return null;
+
+  const client = session.getClient();
+  if (!client || !session.getStatus().ready) {
+    throw errors.apiError("CLIENT_NOT_READY");
+  }
+  try {
+    const waChat = await client.getChatById(chatId);
+    await waChat.sendSeen();
+  } catch (error) {
+    const failure = errors.classify(error);
+    if (failure.reconnect) {
+      session.reconnect().catch(() => {
+        // Already reconnecting
+      });
+      throw errors.apiError(failure.code);
+    }
+    throw error;
+  }
+
+  chat.unreadCount = 0;
+  chat.lastReadAt = new Date().toISOString();
+  scheduleSave();
+  return chatSummary(chat);
+}
+
+async function flush() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    await store.save();
+  }
+}
+
+module.exports = {
+  start,
+  listChats,
+  getMessages,
+  markRead,
+  flush,
+};
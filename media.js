@@ -0,0 +1,237 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const whatsapp = require("./whatsapp");
+const outbound = require("./outbound");
+const { apiError } = require("./errors");
+const { settings } = require("./config");
+
+const MEDIA_MAX_BYTES = settings.mediaMaxBytes;
+const DOWNLOAD_TIMEOUT = 30 * 1000;
+const MAX_REDIRECTS = 5;
+const MEDIA_DIR = path.join(whatsapp.SESSION_DATA_PATH, "media");
+
+const ALLOWED_MIMETYPES = new Set([
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "video/mp4",
+  "audio/mpeg",
+  "audio/ogg",
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "text/plain",
+]);
+
+function maxSizeLabel() {
+  return `${Math.round((MEDIA_MAX_BYTES / 1024 / 1024) * 10) / 10} MB`;
+}
+
+function tooLarge() {
+  return apiError("MEDIA_TOO_LARGE", { max: maxSizeLabel() });
+}
+
+function validateFilename(filename) {
+  if (filename === undefined || filename === null || filename === "") {
+    return null;
+  }
+  if (
+    typeof filename !== "string" ||
+    filename.length > 255 ||
+    /[/\\\0]/.test(filename)
+  ) {
+    throw apiError("INVALID_MEDIA", { reason: "FILENAME" });
+  }
+  return filename;
+}
+
+function validate({ mimetype, filename, data, asDocument }) {
+  const type = String(mimetype || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+
+  if (!ALLOWED_MIMETYPES.has(type)) {
+    throw apiError("UNSUPPORTED_MEDIA_TYPE", { mimetype: type || "?" });
+  }
+  if (data.length === 0) {
+    throw apiError("INVALID_MEDIA", { reason: "EMPTY" });
+  }
+  if (data.length > MEDIA_MAX_BYTES) {
+    throw tooLarge();
+  }
+
+  return {
+    mimetype: type,
+    filename: validateFilename(filename),
+    data,
+    asDocument: asDocument === true || asDocument === "true",
+  };
+}
+
+function parseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw apiError("INVALID_MEDIA", { reason: "URL" });
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw apiError("INVALID_MEDIA", { reason: "URL" });
+  }
+  return parsed;
+}
+
+// Follows redirects by hand so every hop is checked, and connects only
+// to public addresses (see outbound.js).
+async function fetchMedia(url) {
+  const deadline = AbortSignal.timeout(DOWNLOAD_TIMEOUT);
+  let current = url;
+  for (let hops = 0; ; hops++) {
+    let response;
+    try {
+      response = await outbound.fetchPublic(current, { signal: deadline });
+    } catch (err) {
+      if (outbound.isPrivateAddressError(err)) {
+        throw apiError("INVALID_MEDIA", { reason: "PRIVATE_URL" });
+      }
+      throw apiError("MEDIA_DOWNLOAD_FAILED", {
+        detail: err.cause?.message || err.message,
+      });
+    }
+
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    // The redirect's body is never read; cancelling it frees the
+    // connection instead of leaving it open until the deadline.
+    await response.body?.cancel();
+    if (hops >= MAX_REDIRECTS) {
+      throw apiError("MEDIA_DOWNLOAD_FAILED", { detail: "Too many redirects" });
+    }
+    current = parseUrl(new URL(location, current).href);
+  }
+}
+
+async function download(url) {
+  const parsed = parseUrl(url);
+  const response = await fetchMedia(parsed);
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw apiError("MEDIA_DOWNLOAD_FAILED", {
+      detail: `HTTP ${response.status}`,
+    });
+  }
+
+  const declared = parseInt(response.headers.get("content-length"), 10);
+  if (declared > MEDIA_MAX_BYTES) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+
+  // Content-Length can be missing or wrong, so the body is counted too.
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MEDIA_MAX_BYTES) {
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+
+  let filename = path.posix.basename(parsed.pathname);
+  try {
+    filename = decodeURIComponent(filename);
+  } catch {
+    // Keep the encoded name
+  }
+
+  return {
+    mimetype: response.headers.get("content-type"),
+    filename: filename || null,
+    data: Buffer.concat(chunks),
+  };
+}
+
+// Reads the attachment of a send request from a multipart upload (`file`),
+// a base64 payload (`media.data`) or a URL (`media.url`). Returns null when
+// the request carries no media.
+async function fromRequest(req) {
+  const media = req.body.media;
+
+  if (req.file) {
+    return validate({
+      mimetype: req.file.mimetype,
+      filename: req.file.originalname,
+      data: req.file.buffer,
+      asDocument: req.body.asDocument,
+    });
+  }
+
+  if (!media) return null;
+  if (typeof media !== "object") {
+    throw apiError("INVALID_MEDIA", { reason: "NOT_OBJECT" });
+  }
+
+  if (media.data) {
+    const base64 = String(media.data).replace(/^data:[^;]+;base64,/, "");
+    if (!/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(base64)) {
+      throw apiError("INVALID_MEDIA", { reason: "BASE64" });
+    }
+    return validate({
+      mimetype: media.mimetype,
+      filename: media.filename,
+      data: Buffer.from(base64, "base64"),
+      asDocument: media.asDocument,
+    });
+  }
+
+  if (media.url) {
+    const downloaded = await download(media.url);
+    return validate({
+      mimetype: media.mimetype || downloaded.mimetype,
+      filename: media.filename || downloaded.filename,
+      data: downloaded.data,
+      asDocument: media.asDocument,
+    });
+  }
+
+  throw apiError("INVALID_MEDIA", { reason: "NO_SOURCE" });
+}
+
+// Attachments are kept on the data volume while their message is queued,
+// rather than inline in queue.json.
+async function save(data) {
+  await fs.mkdir(MEDIA_DIR, { recursive: true });
+  const file = crypto.randomUUID();
+  await fs.writeFile(path.join(MEDIA_DIR, file), data);
+  return file;
+}
+
+async function read(file) {
+  return fs.readFile(path.join(MEDIA_DIR, file));
+}
+
+async function remove(file) {
+  try {
+    await fs.unlink(path.join(MEDIA_DIR, file));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.warn(`Could not remove media ${file}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = {
+  MEDIA_MAX_BYTES,
+  tooLarge,
+  fromRequest,
+  save,
+  read,
+  remove,
+};
@@ -0,0 +1,221 @@
+const promClient = require("prom-client");
+const whatsapp = require("./whatsapp");
+const sessions = require("./sessions");
+const queue = require("./queue");
+const connection = require("./connection");
+
+const registry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: registry });
+
+const sends = new promClient.Counter({
+  name: "whatsapp_sends_total",
+  help: "Send attempts by outcome (sent, retry, failed) and error code",
+  labelNames: ["session", "type", "outcome", "code"],
+  registers: [registry],
+});
+
+const sendDuration = new promClient.Histogram({
+  name: "whatsapp_send_duration_seconds",
+  help: "Time taken by a send attempt, from the queue to WhatsApp",
+  labelNames: ["session", "outcome"],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60],
+  registers: [registry],
+});
+
+const reconnects = new promClient.Counter({
+  name: "whatsapp_reconnects_total",
+  help: "Reconnects started, by reason",
+  labelNames: ["session", "reason"],
+  registers: [registry],
+});
+
+const sessionWipes = new promClient.Counter({
+  name: "whatsapp_session_wipes_total",
+  help: "Session profiles wiped after repeated init failures",
+  labelNames: ["session"],
+  registers: [registry],
+});
+
+const initAttempts = new promClient.Counter({
+  name: "whatsapp_init_attempts_total",
+  help: "WhatsApp client initializations started",
+  labelNames: ["session"],
+  registers: [registry],
+});
+
+const initFailures = new promClient.Counter({
+  name: "whatsapp_init_failures_total",
+  help: "WhatsApp client initializations that failed",
+  labelNames: ["session"],
+  registers: [registry],
+});
+
+const transitions = new promClient.Counter({
+  name: "whatsapp_state_transitions_total",
+  help: "Connection state transitions, by state left and entered",
+  labelNames: ["session", "from", "to"],
+  registers: [registry],
+});
+
+// Gauges below are read from the sessions at scrape time.
+
+new promClient.Gauge({
+  name: "whatsapp_connection_state",
+  help: "1 for the session's current connection state, 0 for the others",
+  labelNames: ["session", "state"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const session of sessions.all()) {
+      const current = session.getStatus().state;
+      for (const state of Object.keys(connection.STATES)) {
+        this.set({ session: session.id, state }, state === current ? 1 : 0);
+      }
+    }
+  },
+});
+
+new promClient.Gauge({
+  name: "whatsapp_circuit_breaker_opens",
+  help: "Times the circuit breaker opened since the session was last ready (0 when closed)",
+  labelNames: ["session"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const session of sessions.all()) {
+      this.set({ session: session.id }, session.getStatus().circuit.opens);
+    }
+  },
+});
+
+new promClient.Gauge({
+  name: "whatsapp_qr_pending_seconds",
+  help: "How long the session has been waiting for a QR scan or pairing code (0 if not)",
+  labelNames: ["session"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const session of sessions.all()) {
+      const { qrPendingSince } = session.getStatus();
+      this.set(
+        { session: session.id },
+        qrPendingSince ? (Date.now() - qrPendingSince) / 1000 : 0
+      );
+    }
+  },
+});
+
+new promClient.Gauge({
+  name: "whatsapp_health_check_failures",
+  help: "Consecutive failed health checks (reconnects at the threshold)",
+  labelNames: ["session"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const session of sessions.all()) {
+      this.set(
+        { session: session.id },
+        session.getStatus().consecutiveHealthFailures
+      );
+    }
+  },
+});
+
+new promClient.Gauge({
+  name: "whatsapp_queue_jobs",
+  help: "Queued messages not yet sent or failed, by status",
+  labelNames: ["session", "status"],
+  registers: [registry],
+  async collect() {
+    this.reset();
+    const counts = await queue.pendingCounts();
+    for (const [session, byStatus] of Object.entries(counts)) {
+      for (const [status, count] of Object.entries(byStatus)) {
+        this.set({ session, status }, count);
+      }
+    }
+  },
+});
+
+// Chromium gauges come from the browser supervisor's last sample (every
+// BROWSER_CHECK_INTERVAL_MS, Linux only) and cover the browser process
+// plus its renderer, GPU and utility children.
+
+new promClient.Gauge({
+  name: "whatsapp_chromium_memory_bytes",
+  help: "Resident memory of the session's Chromium, including child processes",
+  labelNames: ["session"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const session of sessions.all()) {
+      const { browser } = session.getStatus();
+      if (browser) this.set({ session: session.id }, browser.memoryBytes);
+    }
+  },
+});
+
+new promClient.Gauge({
+  name: "whatsapp_chromium_cpu_percent",
+  help: "CPU used by the session's Chromium since the previous sample, in percent of one core",
+  labelNames: ["session"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const session of sessions.all()) {
+      const { browser } = session.getStatus();
+      if (browser && browser.cpuPercent !== null) {
+        this.set({ session: session.id }, browser.cpuPercent);
+      }
+    }
+  },
+});
+
+new promClient.Gauge({
+  name: "whatsapp_chromium_processes",
+  help: "Processes in the session's Chromium tree",
+  labelNames: ["session"],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const session of sessions.all()) {
+      const { browser } = session.getStatus();
+      if (browser) this.set({ session: session.id }, browser.processes);
+    }
+  },
+});
+
+function start() {
+  queue.events.on(
+    "attempt",
+    ({ sessionId, type, outcome, code, durationMs }) => {
+      sends.inc({ session: sessionId, type, outcome, code: code || "" });
+      sendDuration.observe({ session: sessionId, outcome }, durationMs / 1000);
+    }
+  );
+
+  whatsapp.events.on("reconnecting", (sessionId, reason) => {
+    reconnects.inc({ session: sessionId, reason: reason || "unknown" });
+  });
+  whatsapp.events.on("session_wiped", (sessionId) => {
+    sessionWipes.inc({ session: sessionId });
+  });
+  whatsapp.events.on("init_attempt", (sessionId) => {
+    initAttempts.inc({ session: sessionId });
+  });
+  whatsapp.events.on("init_failed", (sessionId) => {
+    initFailures.inc({ session: sessionId });
+  });
+  whatsapp.events.on("state", (sessionId, { from, to }) => {
+    transitions.inc({ session: sessionId, from, to });
+  });
+}
+
+async function render() {
+  return { contentType: registry.contentType, body: await registry.metrics() };
+}
+
+module.exports = {
+  start,
+  render,
+};
@@ -0,0 +1,146 @@
+const path = require("path");
+const { EventEmitter } = require("events");
+const whatsapp = require("./whatsapp");
+const phone = require("./phone");
+const { createJsonStore } = require("./store");
+const { apiError } = require("./errors");
+const { settings } = require("./config");
+
+const MAX_REASON_LENGTH = 500;
+
+const store = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "optouts.json"),
+  { optOuts: [] }
+);
+
+// "opted_out" with the entry whenever a number is added, for webhooks.
+const events = new EventEmitter();
+
+// Compared without case, accents or surrounding punctuation, so "Stop!",
+// "baja." and "BAJA" all match BAJA.
+function fold(text) {
+  return text
+    .normalize("NFD")
+    .replace(/\p{Diacritic}/gu, "")
+    .replace(/^[\p{P}\s]+|[\p{P}\s]+$/gu, "")
+    .toUpperCase();
+}
+
+const KEYWORDS = new Set(settings.optOutKeywords.map(fold));
+
+function isKeyword(text) {
+  return KEYWORDS.has(fold(text));
+}
+
+function toView(entry) {
+  return {
+    number: entry.number,
+    source: entry.source,
+    reason: entry.reason,
+    sessionId: entry.sessionId,
+    createdAt: entry.createdAt,
+  };
+}
+
+async function find(number) {
+  const data = await store.load();
+  return data.optOuts.find((entry) => entry.number === number) || null;
+}
+
+async function list() {
+  const data = await store.load();
+  return data.optOuts.map(toView);
+}
+
+async function isOptedOut(number) {
+  return Boolean(await find(number));
+}
+
+// Throws RECIPIENT_OPTED_OUT for a suppressed number. `number` is in the
+// form phone.normalize returns.
+async function assertAllowed(number) {
+  if (await isOptedOut(number)) {
+    throw apiError("RECIPIENT_OPTED_OUT", { number });
+  }
+}
+
+// Adding a number that is already listed keeps the original entry.
+// `source` is "manual" (POST /opt-outs) or "keyword" (the contact asked).
+async function add(input, { source = "manual", reason, sessionId } = {}) {
+  const { number } = phone.normalize(input);
+  if (reason !== undefined && reason !== null && typeof reason !== "string") {
+    throw apiError("INVALID_REQUEST", { reason: "OPT_OUT_REASON" });
+  }
+
+  // No await between this lookup and the push below, so a contact sending
+  // the keyword twice is listed once.
+  const data = await store.load();
+  const existing = data.optOuts.find((entry) => entry.number === number);
+  if (existing) return { entry: toView(existing), created: false };
+
+  const entry = {
+    number,
+    source,
+    reason: reason ? reason.slice(0, MAX_REASON_LENGTH) : null,
+    sessionId: sessionId || null,
+    createdAt: new Date().toISOString(),
+  };
+  data.optOuts.push(entry);
+  await store.save();
+
+  events.emit("opted_out", toView(entry));
+  return { entry: toView(entry), created: true };
+}
+
+async function remove(input) {
+  const { number } = phone.normalize(input);
+  const data = await store.load();
+  const index = data.optOuts.findIndex((entry) => entry.number === number);
+  if (index === -1) throw apiError("OPT_OUT_NOT_FOUND", { number });
+
+  const [entry] = data.optOuts.splice(index, 1);
+  await store.save();
+  return toView(entry);
+}
+
+// A message whose whole text is an opt-out keyword, so "no me des de baja
+// todavía" does not count.
+async function handleMessage(sessionId, msg) {
+  if (msg.fromMe || msg.type !== "chat" || !msg.body) return;
+  if (msg.from.endsWith("@g.us") || msg.from === "status@broadcast") return;
+  if (!isKeyword(msg.body)) return;
+
+  const number = await whatsapp.senderNumber(msg);
+  if (!number) return;
+
+  const { entry, created } = await add(number, {
+    source: "keyword",
+    reason: msg.body.trim(),
+    sessionId,
+  });
+  if (created) console.log(`[${sessionId}] ${entry.number} opted out`);
+}
+
+async function start() {
+  const data = await store.load();
+
+  whatsapp.events.on("message", (sessionId, msg) => {
+    handleMessage(sessionId, msg).catch((err) => {
+      console.error(`[${sessionId}] Error handling opt-out:`, err.message);
+    });
+  });
+
+  console.log(`✓ Opt-out list loaded (${data.optOuts.length} number(s))`);
+}
+
+module.exports = {
+  fold,
+  isKeyword,
+  events,
+  start,
+  list,
+  isOptedOut,
+  assertAllowed,
+  add,
+  remove,
+};
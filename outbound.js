@@ -0,0 +1,93 @@
+const dns = require("dns");
+const net = require("net");
+const { Agent, fetch } = require("undici");
+
+// Addresses a caller-supplied URL (a media download, a webhook) may not
+// point to: loopback, private networks, link-local (which includes cloud
+// metadata endpoints such as 169.254.169.254) and other non-public
+// ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+function isBlocked(address, family) {
+  return BLOCKED_ADDRESSES.check(
+    address,
+    family === 6 || family === "IPv6" ? "ipv6" : "ipv4"
+  );
+}
+
+function privateAddressError(host) {
+  const err = new Error(`${host} is not a public address`);
+  err.code = "PRIVATE_ADDRESS";
+  return err;
+}
+
+// Used by the connection itself, so the address that was checked is the
+// one connected to: a host whose DNS answer changes between a check and
+// the request cannot point it at the internal network.
+function lookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((a) => isBlocked(a.address, a.family))) {
+      return callback(privateAddressError(hostname));
+    }
+    callback(null, address, family);
+  });
+}
+
+const dispatcher = new Agent({ connect: { lookup } });
+
+// Checks a URL up front, to reject it with a clear error before anything
+// is stored or sent. IP literals are connected to without a lookup, so
+// this is also the only check they get.
+async function assertPublic(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+  if (addresses.some((a) => isBlocked(a.address, a.family))) {
+    throw privateAddressError(host);
+  }
+}
+
+// True when a request failed because its host is not public, whether it
+// was caught by assertPublic or while connecting.
+function isPrivateAddressError(err) {
+  return (
+    err?.code === "PRIVATE_ADDRESS" || err?.cause?.code === "PRIVATE_ADDRESS"
+  );
+}
+
+// fetch() that only connects to public addresses. Redirects are not
+// followed: the caller gets the 3xx and decides whether to go on.
+async function fetchPublic(url, options = {}) {
+  await assertPublic(url);
+  return fetch(url, { ...options, redirect: "manual", dispatcher });
+}
+
+module.exports = { assertPublic, isPrivateAddressError, fetchPublic };
@@ -0,0 +1,105 @@
+const {
+  parsePhoneNumberWithError,
+  validatePhoneNumberLength,
+  isSupportedCountry,
+  ParseError,
+} = require("libphonenumber-js/max");
+const { apiError } = require("./errors");
+const { settings } = require("./config");
+
+// Mexico dropped the "1" after +52 for mobiles in 2019, and the 044/045
+// (mobile) and 01 (long distance) dialing prefixes before that. Customers
+// still type them, and libphonenumber no longer strips them.
+const MEXICO_LEGACY_PREFIX = /^(?:1|044|045|01)(\d{10})$/;
+
+const DEFAULT_COUNTRY = settings.phoneDefaultCountry.toUpperCase();
+
+function phoneError(reason) {
+  return apiError("INVALID_NUMBER", { reason });
+}
+
+// "14155552671" is a US number, not a Mexican one with the old mobile
+// "1", so a local number is only read the Mexican way when it is not a
+// valid number in the +1 plan.
+function isNanpNumber(text) {
+  const digits = text.replace(/\D/g, "");
+  if (!digits.startsWith("1")) return false;
+  try {
+    return parsePhoneNumberWithError(`+${digits}`).isValid();
+  } catch {
+    return false;
+  }
+}
+
+function parse(text, country) {
+  try {
+    let parsed = parsePhoneNumberWithError(text, country);
+    if (
+      parsed.countryCallingCode === "52" &&
+      (text.startsWith("+") || !isNanpNumber(text))
+    ) {
+      const legacy = parsed.nationalNumber.match(MEXICO_LEGACY_PREFIX);
+      if (legacy) parsed = parsePhoneNumberWithError(`+52${legacy[1]}`);
+    }
+    return { parsed };
+  } catch (err) {
+    if (err instanceof ParseError) return { code: err.message };
+    throw err;
+  }
+}
+
+function lengthError(parsed) {
+  return (
+    validatePhoneNumberLength(parsed.number, parsed.country) || "INVALID_NUMBER"
+  );
+}
+
+// Parses a number written in E.164 (`+528117858904`), international without
+// the plus (`528117858904`), or local format (`81 1785 8904`, read in
+// PHONE_DEFAULT_COUNTRY). Throws INVALID_NUMBER, with the `reason`, when the
+// number cannot exist.
+function normalize(input, { defaultCountry = DEFAULT_COUNTRY } = {}) {
+  if (input === undefined || input === null || String(input).trim() === "") {
+    throw phoneError("NUMBER_REQUIRED");
+  }
+  if (typeof input !== "string" && typeof input !== "number") {
+    throw phoneError("NOT_A_NUMBER");
+  }
+
+  const text = String(input)
+    .trim()
+    .replace(/@c\.us$/, "");
+  let result = parse(text, defaultCountry);
+
+  // Without a leading "+" the digits may still be an international number
+  // ("528117858904"); take that reading only if the local one is invalid.
+  if (!text.startsWith("+") && !(result.parsed && result.parsed.isValid())) {
+    const digits = text.replace(/\D/g, "");
+    const international = digits ? parse(`+${digits}`) : null;
+    if (international && international.parsed?.isValid()) {
+      result = international;
+    }
+  }
+
+  if (result.code) throw phoneError(result.code);
+
+  const { parsed } = result;
+  if (!parsed.isValid()) throw phoneError(lengthError(parsed));
+
+  return {
+    input,
+    number: parsed.number.slice(1),
+    e164: parsed.number,
+    country: parsed.country || null,
+    countryCallingCode: parsed.countryCallingCode,
+    nationalNumber: parsed.nationalNumber,
+    type: parsed.getType() || null,
+    formatted: parsed.formatInternational(),
+  };
+}
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  isSupportedCountry,
+  normalize,
+};
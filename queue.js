@@ -0,0 +1,481 @@
+const crypto = require("crypto");
+const path = require("path");
+const { EventEmitter } = require("events");
+const whatsapp = require("./whatsapp");
+const sessions = require("./sessions");
+const receipts = require("./receipts");
+const media = require("./media");
+const optOuts = require("./optouts");
+const audit = require("./audit");
+const { createJsonStore } = require("./store");
+const { deliver } = require("./send");
+const errors = require("./errors");
+const { settings } = require("./config");
+
+const SEND_RATE_PER_MINUTE = settings.sendRatePerMinute;
+const MAX_ATTEMPTS = settings.queueMaxAttempts;
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+const DRAIN_INTERVAL = 5000;
+const RETENTION = 3 * 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_TTL = settings.idempotencyTtlHours * 60 * 60 * 1000;
+
+const store = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "queue.json"),
+  { jobs: [] }
+);
+
+// Per-job events keyed by job id, used by waitFor.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// "settled" with the job view whenever any job is sent or fails for good,
+// and "attempt" after every send attempt, for metrics.
+const events = new EventEmitter();
+
+// Send timestamps from the last minute, per session. Bans are per number,
+// so each session gets its own budget.
+const recentSends = new Map();
+
+let drainTimer = null;
+let draining = false;
+let drainRequested = false;
+
+function isSettled(job) {
+  return job.status === "sent" || job.status === "failed";
+}
+
+function jobType(job) {
+  if (job.location) return "location";
+  if (job.media) return "media";
+  return "text";
+}
+
+// Settled jobs no longer need their attachment on disk.
+function onSettled(job) {
+  if (job.media) media.remove(job.media.file);
+  audit.recordSend(job);
+  const view = toView(job);
+  jobEvents.emit(job.id, view);
+  events.emit("settled", view);
+}
+
+function toView(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    type: jobType(job),
+    sessionId: job.sessionId,
+    batchId: job.batchId || null,
+    idempotencyKey: job.idempotency ? job.idempotency.key : null,
+    to: job.to,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    nextAttemptAt:
+      job.status === "queued"
+        ? new Date(job.nextAttemptAt).toISOString()
+        : null,
+    sentAt: job.sentAt || null,
+    messageId: job.messageId || null,
+    chatId: job.chatId || null,
+    error: job.error || null,
+  };
+}
+
+// Identifies what a request asked for, so a reused idempotency key with a
+// different message is refused instead of silently answered with the old one.
+function fingerprint({ sessionId, to, message, attachment, location }) {
+  const content = JSON.stringify({
+    sessionId,
+    to,
+    message: message || null,
+    location: location || null,
+    media: attachment
+      ? {
+          mimetype: attachment.mimetype,
+          filename: attachment.filename,
+          asDocument: Boolean(attachment.asDocument),
+          sha256: crypto
+            .createHash("sha256")
+            .update(attachment.data)
+            .digest("hex"),
+        }
+      : null,
+  });
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function findByIdempotencyKey(jobs, key) {
+  const now = Date.now();
+  return jobs.find(
+    (job) =>
+      job.idempotency &&
+      job.idempotency.key === key &&
+      job.idempotency.expiresAt > now
+  );
+}
+
+// Job errors are stored with their code and params so responses can
+// render the message in the caller's language later.
+function failedWith(code, params = {}, detail = null) {
+  return {
+    code,
+    status: errors.CODES[code].status,
+    message: errors.format(code, params),
+    params,
+    detail,
+  };
+}
+
+function hasSendBudget(sessionId) {
+  const cutoff = Date.now() - 60 * 1000;
+  const sends = (recentSends.get(sessionId) || []).filter((t) => t > cutoff);
+  recentSends.set(sessionId, sends);
+  return sends.length < SEND_RATE_PER_MINUTE;
+}
+
+function recordSend(sessionId) {
+  const sends = recentSends.get(sessionId) || [];
+  sends.push(Date.now());
+  recentSends.set(sessionId, sends);
+}
+
+function retryDelay(attempts) {
+  return Math.min(
+    RETRY_BASE_DELAY * Math.pow(2, attempts - 1),
+    RETRY_MAX_DELAY
+  );
+}
+
+async function processJob(job, session) {
+  job.status = "sending";
+  job.attempts++;
+  job.updatedAt = new Date().toISOString();
+  recordSend(job.sessionId);
+  await store.save();
+
+  const startedAt = Date.now();
+  try {
+    const payload = { message: job.message, location: job.location };
+    if (job.media) {
+      const data = await media.read(job.media.file);
+      payload.media = { ...job.media, data: data.toString("base64") };
+    }
+
+    const result = await deliver(
+      session.getClient(),
+      job.to,
+      payload,
+      job.chatId || null
+    );
+    job.status = "sent";
+    job.messageId = result.messageId;
+    job.chatId = result.to;
+    job.sentAt = new Date().toISOString();
+    job.error = null;
+    // Registered before the next await, so a fast "delivered" ack that
+    // lands while the job is saved finds the message. Not awaited: the
+    // message is out, and a bookkeeping error must not put the job back
+    // in the queue.
+    receipts
+      .track({
+        messageId: result.messageId,
+        sessionId: job.sessionId,
+        chatId: result.to,
+        ack: result.ack,
+      })
+      .catch((err) => {
+        console.error(
+          `[${job.sessionId}] Could not track receipt for ${result.messageId}:`,
+          err.message
+        );
+      });
+  } catch (error) {
+    console.error(
+      `[${job.sessionId}] Error sending queued message ${job.id}:`,
+      error.message
+    );
+    const failure = errors.classify(error);
+
+    if (failure.reconnect) {
+      session.reconnect().catch(() => {
+        // Already reconnecting
+      });
+    }
+
+    job.error = failedWith(
+      failure.code,
+      error.code ? error.params : {},
+      error.code ? null : error.message || "Unknown error"
+    );
+
+    // Only a failure before the message was handed to WhatsApp (looking up
+    // the number, or a client that was not ready) is safe to retry.
+    if (
+      failure.retryable &&
+      !error.sendStarted &&
+      job.attempts < MAX_ATTEMPTS
+    ) {
+      job.status = "queued";
+      job.nextAttemptAt = Date.now() + retryDelay(job.attempts);
+    } else {
+      job.status = "failed";
+    }
+  }
+
+  events.emit("attempt", {
+    sessionId: job.sessionId,
+    type: jobType(job),
+    outcome: job.status === "queued" ? "retry" : job.status,
+    code: job.error ? job.error.code : null,
+    durationMs: Date.now() - startedAt,
+  });
+
+  job.updatedAt = new Date().toISOString();
+  await store.save();
+  if (isSettled(job)) onSettled(job);
+}
+
+async function processDueJobs() {
+  const data = await store.load();
+  const now = Date.now();
+
+  const pruned = data.jobs.filter(
+    (job) =>
+      !isSettled(job) ||
+      now - Date.parse(job.updatedAt) < RETENTION ||
+      (job.idempotency && job.idempotency.expiresAt > now)
+  );
+  if (pruned.length !== data.jobs.length) {
+    data.jobs = pruned;
+    await store.save();
+  }
+
+  const due = data.jobs.filter(
+    (job) => job.status === "queued" && job.nextAttemptAt <= now
+  );
+
+  for (const job of due) {
+    const session = sessions.get(job.sessionId);
+
+    // Checked again at send time: a contact can opt out while a bulk or
+    // retried job waits.
+    let failure = null;
+    if (!session) {
+      failure = failedWith("SESSION_NOT_FOUND", { sessionId: job.sessionId });
+    } else if (await optOuts.isOptedOut(job.to)) {
+      failure = failedWith("RECIPIENT_OPTED_OUT", { number: job.to });
+    }
+
+    if (failure) {
+      job.status = "failed";
+      job.error = failure;
+      job.updatedAt = new Date().toISOString();
+      await store.save();
+      onSettled(job);
+      continue;
+    }
+
+    if (!session.getStatus().ready || !hasSendBudget(job.sessionId)) {
+      continue;
+    }
+
+    await processJob(job, session);
+  }
+}
+
+async function drain() {
+  if (draining) {
+    drainRequested = true;
+    return;
+  }
+
+  draining = true;
+  try {
+    do {
+      drainRequested = false;
+      await processDueJobs();
+    } while (drainRequested);
+  } catch (err) {
+    console.error("Error draining message queue:", err.message);
+  } finally {
+    draining = false;
+  }
+}
+
+async function start() {
+  const data = await store.load();
+
+  // A job left in "sending" means the process died mid-send. Whether the
+  // message went out is unknown, and a duplicate reminder is worse than a
+  // missing one, so it is failed rather than retried.
+  const interrupted = [];
+  for (const job of data.jobs) {
+    if (job.status === "sending") {
+      job.status = "failed";
+      job.error = failedWith("SEND_INTERRUPTED");
+      job.updatedAt = new Date().toISOString();
+      interrupted.push(job);
+    }
+  }
+  if (interrupted.length > 0) {
+    console.warn(
+      `⚠ ${interrupted.length} queued message(s) interrupted mid-send`
+    );
+    await store.save();
+    interrupted.forEach(onSettled);
+  }
+
+  const pending = data.jobs.filter((job) => job.status === "queued").length;
+  console.log(`✓ Message queue loaded (${pending} pending)`);
+
+  whatsapp.events.on("ready", () => drain());
+  drainTimer = setInterval(drain, DRAIN_INTERVAL);
+  drain();
+}
+
+function stop() {
+  if (drainTimer) clearInterval(drainTimer);
+  drainTimer = null;
+}
+
+// `message` is the text, or the caption when `attachment` (a validated
+// upload from media.fromRequest) is given. `location` comes from
+// send.parseLocation. `notBefore` (epoch ms) holds the job back, e.g. to
+// pace a bulk send. `chatId` is the number's chat id when the caller has
+// already resolved it. `origin` says what queued the message for the audit
+// log: `{ type: "api", subject, subjectType, subjectName }` or
+// `{ type: "bulk" | "schedule" | "auto_reply", id }`.
+//
+// With an `idempotencyKey`, a request repeated within IDEMPOTENCY_TTL_HOURS
+// gets the original job back (flagged `replayed`) instead of a new send.
+// Numbers on the opt-out list are refused with RECIPIENT_OPTED_OUT.
+async function enqueue({
+  sessionId,
+  to,
+  message,
+  attachment,
+  location,
+  batchId,
+  notBefore,
+  idempotencyKey,
+  chatId,
+  origin,
+}) {
+  await optOuts.assertAllowed(to);
+
+  const requestFingerprint = idempotencyKey
+    ? fingerprint({ sessionId, to, message, attachment, location })
+    : null;
+  const file = attachment ? await media.save(attachment.data) : null;
+  const data = await store.load();
+
+  // No await between this lookup and the push below, so two concurrent
+  // requests with the same key cannot both create a job.
+  if (idempotencyKey) {
+    const existing = findByIdempotencyKey(data.jobs, idempotencyKey);
+    if (existing) {
+      if (file) media.remove(file);
+      if (existing.idempotency.fingerprint !== requestFingerprint) {
+        throw errors.apiError("IDEMPOTENCY_KEY_REUSED");
+      }
+      return { ...toView(existing), replayed: true };
+    }
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    sessionId,
+    to,
+    message: message || null,
+    media: attachment
+      ? {
+          mimetype: attachment.mimetype,
+          filename: attachment.filename,
+          size: attachment.data.length,
+          asDocument: Boolean(attachment.asDocument),
+          file,
+        }
+      : null,
+    location: location || null,
+    chatId: chatId || null,
+    batchId: batchId || null,
+    origin: origin || null,
+    idempotency: idempotencyKey
+      ? {
+          key: idempotencyKey,
+          fingerprint: requestFingerprint,
+          expiresAt: Date.now() + IDEMPOTENCY_TTL,
+        }
+      : null,
+    attempts: 0,
+    nextAttemptAt: notBefore || Date.now(),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  data.jobs.push(job);
+  await store.save();
+  drain();
+  return toView(job);
+}
+
+async function get(id) {
+  const data = await store.load();
+  const job = data.jobs.find((j) => j.id === id);
+  return job ? toView(job) : null;
+}
+
+// Resolves with the job once it is sent or has failed for good, or with
+// its current state when the timeout expires first.
+async function waitFor(id, timeoutMs) {
+  // Listen before reading the job so a send that settles in between is
+  // not missed.
+  let onSettled;
+  const settled = new Promise((resolve) => {
+    onSettled = resolve;
+    jobEvents.once(id, onSettled);
+  });
+
+  const job = await get(id);
+  if (!job || isSettled(job)) {
+    jobEvents.off(id, onSettled);
+    return job;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeoutMs);
+  });
+
+  const view = await Promise.race([settled, timeout]);
+  clearTimeout(timer);
+  jobEvents.off(id, onSettled);
+  return view || get(id);
+}
+
+// Jobs not yet sent or failed, per session and status.
+async function pendingCounts() {
+  const data = await store.load();
+  const counts = {};
+  for (const job of data.jobs) {
+    if (isSettled(job)) continue;
+    counts[job.sessionId] = counts[job.sessionId] || {};
+    counts[job.sessionId][job.status] =
+      (counts[job.sessionId][job.status] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  events,
+  start,
+  stop,
+  enqueue,
+  get,
+  waitFor,
+  pendingCounts,
+};
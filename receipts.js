@@ -0,0 +1,169 @@
+const path = require("path");
+const { MessageAck } = require("whatsapp-web.js");
+const whatsapp = require("./whatsapp");
+const { createJsonStore } = require("./store");
+
+const RETENTION = 30 * 24 * 60 * 60 * 1000;
+const SAVE_DELAY = 1000;
+const MAX_LOOKUP = 500;
+
+const ACK_STATUS = {
+  [MessageAck.ACK_ERROR]: "failed",
+  [MessageAck.ACK_PENDING]: "pending",
+  [MessageAck.ACK_SERVER]: "sent",
+  [MessageAck.ACK_DEVICE]: "delivered",
+  [MessageAck.ACK_READ]: "read",
+  [MessageAck.ACK_PLAYED]: "read",
+};
+
+const TIMESTAMP_FIELD = {
+  sent: "sentAt",
+  delivered: "deliveredAt",
+  read: "readAt",
+  failed: "failedAt",
+};
+
+const store = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "receipts.json"),
+  { receipts: {} }
+);
+
+let saveTimer = null;
+
+// Acks arrive in bursts (sent, delivered and read can land within a
+// second), so writes are batched.
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    store.save();
+  }, SAVE_DELAY);
+}
+
+function ackStatus(ack) {
+  return ACK_STATUS[ack] || "unknown";
+}
+
+function toView(receipt) {
+  return {
+    messageId: receipt.messageId,
+    sessionId: receipt.sessionId,
+    chatId: receipt.chatId,
+    status: receipt.status,
+    sentAt: receipt.sentAt || null,
+    deliveredAt: receipt.deliveredAt || null,
+    readAt: receipt.readAt || null,
+    failedAt: receipt.failedAt || null,
+    updatedAt: receipt.updatedAt,
+  };
+}
+
+function applyAck(receipt, ack, at) {
+  const status = ACK_STATUS[ack];
+  if (!status) return false;
+
+  // Acks can arrive out of order; never move a message back from "read"
+  // to "delivered". An error ack always wins.
+  if (ack !== MessageAck.ACK_ERROR && ack <= receipt.ack) return false;
+
+  receipt.ack = ack;
+  receipt.status = status;
+  receipt.updatedAt = at;
+
+  // A read receipt implies delivery even if the device ack was skipped.
+  if (status === "read" && !receipt.deliveredAt) receipt.deliveredAt = at;
+  const field = TIMESTAMP_FIELD[status];
+  if (field && !receipt[field]) receipt[field] = at;
+  return true;
+}
+
+async function onMessageAck(sessionId, msg, ack) {
+  const messageId = msg.id && msg.id._serialized;
+  if (!messageId) return;
+
+  const data = await store.load();
+  const receipt = data.receipts[messageId];
+  if (!receipt) return;
+
+  if (applyAck(receipt, ack, new Date().toISOString())) {
+    scheduleSave();
+  }
+}
+
+async function start() {
+  const data = await store.load();
+  const cutoff = Date.now() - RETENTION;
+  let pruned = 0;
+
+  for (const [messageId, receipt] of Object.entries(data.receipts)) {
+    if (Date.parse(receipt.updatedAt) < cutoff) {
+      delete data.receipts[messageId];
+      pruned++;
+    }
+  }
+  if (pruned > 0) await store.save();
+
+  whatsapp.events.on("message_ack", (sessionId, msg, ack) => {
+    onMessageAck(sessionId, msg, ack).catch((err) => {
+      console.error("Error recording message ack:", err.message);
+    });
+  });
+}
+
+// Starts tracking a message we just sent. Acks for messages that were not
+// sent through this service are ignored.
+async function track({ messageId, sessionId, chatId, ack }) {
+  const data = await store.load();
+  const now = new Date().toISOString();
+  const receipt = {
+    messageId,
+    sessionId,
+    chatId,
+    ack: MessageAck.ACK_PENDING,
+    status: "pending",
+    updatedAt: now,
+  };
+
+  // The server ack often lands before sendMessage resolves.
+  if (ack !== undefined) applyAck(receipt, ack, now);
+  data.receipts[messageId] = receipt;
+  scheduleSave();
+}
+
+async function get(messageId) {
+  const data = await store.load();
+  const receipt = data.receipts[messageId];
+  return receipt ? toView(receipt) : null;
+}
+
+async function lookup(messageIds) {
+  const data = await store.load();
+  const found = {};
+  const missing = [];
+
+  for (const messageId of messageIds) {
+    const receipt = data.receipts[messageId];
+    if (receipt) found[messageId] = toView(receipt);
+    else missing.push(messageId);
+  }
+
+  return { receipts: found, missing };
+}
+
+async function flush() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    await store.save();
+  }
+}
+
+module.exports = {
+  MAX_LOOKUP,
+  ackStatus,
+  start,
+  track,
+  get,
+  lookup,
+  flush,
+};
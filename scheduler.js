@@ -0,0 +1,428 @@
+const crypto = require("crypto");
+const path = require("path");
+const { DateTime, IANAZone } = require("luxon");
+const { CronExpressionParser } = require("cron-parser");
+const whatsapp = require("./whatsapp");
+const sessions = require("./sessions");
+const queue = require("./queue");
+const templates = require("./templates");
+const phone = require("./phone");
+const optOuts = require("./optouts");
+const groups = require("./groups");
+const errors = require("./errors");
+const { createJsonStore } = require("./store");
+const { settings } = require("./config");
+
+const DEFAULT_TIMEZONE = settings.scheduleTimezone;
+const CATCH_UP_MINUTES = settings.scheduleCatchUpMinutes;
+const TICK_INTERVAL = 15 * 1000;
+const MAX_HISTORY = 20;
+const RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+const store = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "schedules.json"),
+  { schedules: [] }
+);
+
+let tickTimer = null;
+let ticking = false;
+
+function invalid(reason, params) {
+  return errors.apiError("INVALID_SCHEDULE", { reason, ...params });
+}
+
+function toView(schedule) {
+  return {
+    id: schedule.id,
+    status: schedule.status,
+    sessionId: schedule.sessionId,
+    to: schedule.to,
+    message: schedule.message,
+    template: schedule.template,
+    locale: schedule.locale,
+    variables: schedule.variables,
+    sendAt: schedule.sendAt,
+    recurrence: schedule.recurrence,
+    until: schedule.until,
+    timezone: schedule.timezone,
+    catchUpMinutes: schedule.catchUpMinutes,
+    nextRunAt: schedule.nextRunAt,
+    lastRunAt: schedule.lastRunAt,
+    runs: schedule.runs,
+    history: schedule.history,
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt,
+  };
+}
+
+// `sendAt` without an offset ("2024-06-03T09:00") is read in `timezone`;
+// one with an offset or "Z" is taken as is.
+function parseTime(value, timezone, reason) {
+  if (typeof value !== "string") throw invalid(reason);
+  const time = DateTime.fromISO(value, { zone: timezone });
+  if (!time.isValid) throw invalid(reason);
+  return time.toUTC();
+}
+
+function nextOccurrence(recurrence, timezone, after) {
+  return CronExpressionParser.parse(recurrence, {
+    currentDate: new Date(after),
+    tz: timezone,
+  })
+    .next()
+    .toDate();
+}
+
+function checkCatchUp(catchUpMinutes) {
+  if (
+    catchUpMinutes !== undefined &&
+    catchUpMinutes !== null &&
+    !(Number.isInteger(catchUpMinutes) && catchUpMinutes >= 1)
+  ) {
+    throw invalid("CATCH_UP");
+  }
+  return catchUpMinutes ?? null;
+}
+
+// Works out the timing fields of a schedule: a single `sendAt`, or a cron
+// `recurrence` that starts no earlier than `sendAt` and stops after `until`.
+function resolveTiming({
+  sendAt,
+  recurrence,
+  until,
+  timezone,
+  catchUpMinutes,
+}) {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  if (!IANAZone.isValidZone(zone)) {
+    throw invalid("TIMEZONE", { timezone: zone });
+  }
+  if (!sendAt && !recurrence) throw invalid("WHEN_REQUIRED");
+  checkCatchUp(catchUpMinutes);
+
+  const start = sendAt ? parseTime(sendAt, zone, "SEND_AT") : null;
+  const end = until ? parseTime(until, zone, "UNTIL") : null;
+  let nextRunAt;
+
+  if (recurrence) {
+    if (typeof recurrence !== "string") throw invalid("RECURRENCE");
+    const from = Math.max(Date.now(), start ? start.toMillis() - 1 : 0);
+    try {
+      nextRunAt = nextOccurrence(recurrence, zone, from);
+    } catch {
+      throw invalid("RECURRENCE");
+    }
+    if (end && nextRunAt > end.toJSDate()) throw invalid("UNTIL");
+  } else {
+    if (start.toMillis() <= Date.now()) throw invalid("IN_PAST");
+    nextRunAt = start.toJSDate();
+  }
+
+  return {
+    sendAt: start ? start.toISO() : null,
+    recurrence: recurrence || null,
+    until: end ? end.toISO() : null,
+    timezone: zone,
+    catchUpMinutes: catchUpMinutes ?? null,
+    nextRunAt: nextRunAt.toISOString(),
+  };
+}
+
+function validateContent({ message, template, variables }) {
+  if (!message && !template) {
+    throw errors.apiError("MISSING_FIELDS", {
+      fields: ["message|template"],
+    });
+  }
+  if (message && typeof message !== "string") {
+    throw invalid("MESSAGE");
+  }
+  if (
+    variables !== undefined &&
+    (typeof variables !== "object" || variables === null)
+  ) {
+    throw errors.apiError("INVALID_TEMPLATE", { reason: "VARIABLES" });
+  }
+}
+
+function recordRun(schedule, run) {
+  schedule.history.push({ ...run, at: new Date().toISOString() });
+  if (schedule.history.length > MAX_HISTORY) {
+    schedule.history.splice(0, schedule.history.length - MAX_HISTORY);
+  }
+}
+
+// Moves a schedule past the run it just handled. Missed recurring runs
+// are skipped over, not replayed one by one.
+function advance(schedule) {
+  if (!schedule.recurrence) {
+    schedule.status = "completed";
+    schedule.nextRunAt = null;
+    return;
+  }
+
+  const after = Math.max(Date.now(), Date.parse(schedule.nextRunAt));
+  const next = nextOccurrence(schedule.recurrence, schedule.timezone, after);
+  if (schedule.until && next > new Date(schedule.until)) {
+    schedule.status = "completed";
+    schedule.nextRunAt = null;
+  } else {
+    schedule.nextRunAt = next.toISOString();
+  }
+}
+
+async function renderMessage(schedule) {
+  if (!schedule.template) return schedule.message;
+  const rendered = await templates.render(schedule.template, {
+    locale: schedule.locale,
+    variables: schedule.variables || {},
+  });
+  return rendered.message;
+}
+
+async function run(schedule) {
+  const runAt = schedule.nextRunAt;
+  try {
+    const job = await queue.enqueue({
+      sessionId: schedule.sessionId,
+      to: schedule.to,
+      message: await renderMessage(schedule),
+      // A crash between enqueueing and saving the schedule must not send
+      // the same run twice after the restart.
+      idempotencyKey: `schedule:${schedule.id}:${runAt}`,
+      origin: { type: "schedule", id: schedule.id },
+    });
+    recordRun(schedule, { runAt, status: "queued", jobId: job.id });
+  } catch (error) {
+    console.error(`Scheduled message ${schedule.id} failed:`, error.message);
+    recordRun(schedule, {
+      runAt,
+      status: "failed",
+      code: error.code || "INTERNAL_ERROR",
+      error: error.message,
+    });
+  }
+  schedule.runs++;
+  schedule.lastRunAt = runAt;
+}
+
+// Due runs are only queued once their session is ready, so a run that
+// comes due during a reconnect waits for it. A run later than its catch-up
+// window (e.g. the service was down) is recorded as missed instead.
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const data = await store.load();
+    const now = Date.now();
+    let changed = false;
+
+    for (const schedule of data.schedules) {
+      if (schedule.status !== "active") continue;
+      if (Date.parse(schedule.nextRunAt) > now) continue;
+
+      const session = sessions.get(schedule.sessionId);
+      const ready = session && session.getStatus().ready;
+      const window = (schedule.catchUpMinutes ?? CATCH_UP_MINUTES) * 60 * 1000;
+      const late = now - Date.parse(schedule.nextRunAt) > window;
+
+      if (!ready && !late) continue;
+
+      const runAt = schedule.nextRunAt;
+      if (late) {
+        let code = null;
+        if (!session) code = "SESSION_NOT_FOUND";
+        else if (!ready) code = "CLIENT_NOT_READY";
+        recordRun(schedule, {
+          runAt: schedule.nextRunAt,
+          status: "missed",
+          code,
+        });
+      } else {
+        await run(schedule);
+      }
+      changed = true;
+
+      // Cancelled or rescheduled while the run was being queued: the
+      // change wins, and only the run itself is kept in the history.
+      if (schedule.status !== "active" || schedule.nextRunAt !== runAt) {
+        continue;
+      }
+      advance(schedule);
+      schedule.updatedAt = new Date().toISOString();
+    }
+
+    const kept = data.schedules.filter(
+      (s) => s.status === "active" || now - Date.parse(s.updatedAt) < RETENTION
+    );
+    if (kept.length !== data.schedules.length) {
+      data.schedules = kept;
+      changed = true;
+    }
+
+    if (changed) await store.save();
+  } catch (err) {
+    console.error("Error running scheduled messages:", err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+async function start() {
+  const data = await store.load();
+  const active = data.schedules.filter((s) => s.status === "active").length;
+
+  whatsapp.events.on("ready", () => tick());
+  tickTimer = setInterval(tick, TICK_INTERVAL);
+  console.log(`✓ Scheduler loaded (${active} active schedule(s))`);
+  tick();
+}
+
+function stop() {
+  if (tickTimer) clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+async function find(id) {
+  const data = await store.load();
+  const schedule = data.schedules.find((s) => s.id === id);
+  if (!schedule) throw errors.apiError("SCHEDULE_NOT_FOUND");
+  return schedule;
+}
+
+async function list({ sessionId, status } = {}) {
+  const data = await store.load();
+  return data.schedules
+    .filter(
+      (s) =>
+        (!sessionId || s.sessionId === sessionId) &&
+        (!status || s.status === status)
+    )
+    .map(toView);
+}
+
+async function get(id) {
+  return toView(await find(id));
+}
+
+async function create(sessionId, input) {
+  validateContent(input);
+  const to = groups.isGroupId(input.to)
+    ? input.to
+    : phone.normalize(input.to).number;
+  await optOuts.assertAllowed(to);
+  const timing = resolveTiming(input);
+  if (input.template && !(await templates.get(input.template))) {
+    throw errors.apiError("TEMPLATE_NOT_FOUND", { name: input.template });
+  }
+
+  const now = new Date().toISOString();
+  const schedule = {
+    id: crypto.randomUUID(),
+    status: "active",
+    sessionId,
+    to,
+    message: input.template ? null : input.message,
+    template: input.template || null,
+    locale: input.locale || null,
+    variables: input.variables || null,
+    ...timing,
+    lastRunAt: null,
+    runs: 0,
+    history: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const data = await store.load();
+  data.schedules.push(schedule);
+  await store.save();
+  return toView(schedule);
+}
+
+// Changes when (and optionally what) an active schedule sends. Timing
+// fields left out keep their current value; when none is given the timing
+// is not worked out again, so the content of a one-shot that is already
+// due (waiting for its session) can still be changed.
+async function reschedule(id, changes) {
+  const schedule = await find(id);
+  if (schedule.status !== "active") {
+    throw errors.apiError("SCHEDULE_NOT_ACTIVE", { status: schedule.status });
+  }
+
+  // A new `message` or `template` replaces the content; `variables` and
+  // `locale` alone update the current template's.
+  const replacing =
+    changes.message !== undefined || changes.template !== undefined;
+  const content = {
+    message: replacing ? changes.message : schedule.message,
+    template: replacing ? changes.template : schedule.template,
+    variables:
+      changes.variables ?? (replacing ? undefined : schedule.variables),
+  };
+  validateContent({ ...content, variables: content.variables ?? undefined });
+  if (changes.template && !(await templates.get(changes.template))) {
+    throw errors.apiError("TEMPLATE_NOT_FOUND", { name: changes.template });
+  }
+
+  const retiming = ["sendAt", "recurrence", "until", "timezone"].some(
+    (field) => changes[field] !== undefined
+  );
+  const catchUpMinutes =
+    changes.catchUpMinutes !== undefined
+      ? changes.catchUpMinutes
+      : schedule.catchUpMinutes;
+  const timing = retiming
+    ? resolveTiming({
+        sendAt: changes.sendAt !== undefined ? changes.sendAt : schedule.sendAt,
+        recurrence:
+          changes.recurrence !== undefined
+            ? changes.recurrence
+            : schedule.recurrence,
+        until: changes.until !== undefined ? changes.until : schedule.until,
+        timezone: changes.timezone ?? schedule.timezone,
+        catchUpMinutes,
+      })
+    : { catchUpMinutes: checkCatchUp(catchUpMinutes) };
+
+  // The template lookup above may have let a tick complete the schedule,
+  // or a cancel go through.
+  if (schedule.status !== "active") {
+    throw errors.apiError("SCHEDULE_NOT_ACTIVE", { status: schedule.status });
+  }
+
+  Object.assign(schedule, timing, {
+    message: content.template ? null : content.message,
+    template: content.template || null,
+    locale: changes.locale ?? (replacing ? null : schedule.locale),
+    variables: content.variables || null,
+    updatedAt: new Date().toISOString(),
+  });
+  await store.save();
+  return toView(schedule);
+}
+
+async function cancel(id) {
+  const schedule = await find(id);
+  if (schedule.status !== "active") {
+    throw errors.apiError("SCHEDULE_NOT_ACTIVE", { status: schedule.status });
+  }
+
+  schedule.status = "cancelled";
+  schedule.nextRunAt = null;
+  schedule.updatedAt = new Date().toISOString();
+  await store.save();
+  return toView(schedule);
+}
+
+module.exports = {
+  start,
+  stop,
+  list,
+  get,
+  create,
+  reschedule,
+  cancel,
+  tick,
+};
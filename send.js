@@ -0,0 +1,128 @@
+const { MessageMedia, Location } = require("whatsapp-web.js");
+const { apiError } = require("./errors");
+const groups = require("./groups");
+
+function isNotRegisteredError(error) {
+  const msg = error.message || "";
+  return (
+    msg.includes("not registered") ||
+    msg.includes("not found") ||
+    msg.includes("No LID") ||
+    msg.includes("LID for user")
+  );
+}
+
+async function resolveChatId(client, phoneNumber) {
+  try {
+    const numberId = await client.getNumberId(phoneNumber);
+    if (numberId) return numberId._serialized;
+  } catch (validationError) {
+    if (isNotRegisteredError(validationError)) {
+      throw apiError("NOT_ON_WHATSAPP");
+    }
+    console.log("Validation error, attempting send anyway");
+    return `${phoneNumber}@c.us`;
+  }
+  throw apiError("NOT_ON_WHATSAPP");
+}
+
+// Asks WhatsApp whether a number has an account, without the send path's
+// fallback: `registered` is null when WhatsApp could not answer.
+async function lookupNumber(client, phoneNumber) {
+  try {
+    const numberId = await client.getNumberId(phoneNumber);
+    return {
+      registered: Boolean(numberId),
+      chatId: numberId ? numberId._serialized : null,
+    };
+  } catch (error) {
+    if (isNotRegisteredError(error)) {
+      return { registered: false, chatId: null };
+    }
+    return { registered: null, chatId: null, error: error.message };
+  }
+}
+
+// Validates a `location` payload ({ latitude, longitude, name, address }).
+function parseLocation(location) {
+  if (typeof location !== "object" || location === null) {
+    throw apiError("INVALID_LOCATION");
+  }
+
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  if (
+    !Number.isFinite(latitude) ||
+    !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    throw apiError("INVALID_LOCATION", { reason: "COORDINATES" });
+  }
+
+  return {
+    latitude,
+    longitude,
+    name: location.name ? String(location.name) : undefined,
+    address: location.address ? String(location.address) : undefined,
+  };
+}
+
+// `media.data` is base64; `message` doubles as the media caption.
+function buildContent({ message, media, location }) {
+  if (location) {
+    return {
+      content: new Location(location.latitude, location.longitude, {
+        name: location.name,
+        address: location.address,
+      }),
+      options: {},
+    };
+  }
+
+  if (media) {
+    return {
+      content: new MessageMedia(
+        media.mimetype,
+        media.data,
+        media.filename || undefined
+      ),
+      options: {
+        caption: message || undefined,
+        sendMediaAsDocument: Boolean(media.asDocument),
+      },
+    };
+  }
+
+  return { content: message, options: {} };
+}
+
+// `to` is a number as phone.normalize returns it, or a group id.
+// `resolved` is the number's chat id when the caller already looked it
+// up (e.g. a bulk send's validation), saving a second lookup.
+async function deliver(client, to, payload, resolved = null) {
+  const chatId = groups.isGroupId(to)
+    ? (await groups.findGroup(client, to)).id._serialized
+    : resolved || (await resolveChatId(client, to));
+  const { content, options } = buildContent(payload);
+  let result;
+  try {
+    result = await client.sendMessage(chatId, content, {
+      ...options,
+      sendSeen: false,
+    });
+  } catch (error) {
+    // WhatsApp may have taken the message before this failed, so the
+    // queue must not send it again.
+    error.sendStarted = true;
+    throw error;
+  }
+  return { messageId: result.id._serialized, to: chatId, ack: result.ack };
+}
+
+module.exports = {
+  parseLocation,
+  resolveChatId,
+  lookupNumber,
+  deliver,
+};
@@ -3,24 +3,37 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
-const jwt = require("jsonwebtoken");
-const whatsapp = require("./whatsapp");
+const multer = require("multer");
+const auth = require("./auth");
+const audit = require("./audit");
+const metrics = require("./metrics");
+const stream = require("./stream");
+const sessions = require("./sessions");
+const queue = require("./queue");
+const receipts = require("./receipts");
+const webhooks = require("./webhooks");
+const inbox = require("./inbox");
+const send = require("./send");
+const phone = require("./phone");
+const errors = require("./errors");
+const media = require("./media");
+const templates = require("./templates");
+const bulk = require("./bulk");
+const scheduler = require("./scheduler");
+const snapshots = require("./snapshots");
+const optOuts = require("./optouts");
+const groups = require("./groups");
+const autoReplies = require("./autoreplies");
+const connection = require("./connection");
+const config = require("./config");
 
 const app = express();
-const PORT = process.env.PORT || 4000;
-const AUTH_SECRET = process.env.AUTH_SECRET;
+const PORT = config.settings.port;
+const SEND_WAIT_TIMEOUT = config.settings.sendWaitTimeoutMs;
 
-if (!AUTH_SECRET) {
-  console.warn("⚠ AUTH_SECRET not set — authentication disabled (dev mode)");
-} else {
-  console.log("✓ Authentication enabled");
-}
+auth.checkConfig();
 
-const allowedOrigins = [
-  "https://danclean.vercel.app",
-  /^http:\/\/localhost(:\d+)?$/,
-  /^http:\/\/127\.0\.0\.1(:\d+)?$/,
-];
+const allowedOrigins = config.settings.corsOrigins.map(config.originMatcher);
 
 app.use(
   cors({
@@ -29,293 +42,1399 @@ app.use(
       const isAllowed = allowedOrigins.some((o) =>
         typeof o === "string" ? origin === o : o.test(origin)
       );
-      callback(isAllowed ? null : new Error("Not allowed by CORS"), isAllowed);
+      callback(
+        isAllowed ? null : errors.apiError("ORIGIN_NOT_ALLOWED"),
+        isAllowed
+      );
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "token"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "token",
+      "X-API-Key",
+      "Idempotency-Key",
+    ],
+    exposedHeaders: ["Idempotent-Replayed"],
   })
 );
 
 app.use(cookieParser());
-app.use(express.json());
+// Base64 attachments are about 4/3 the size of the file.
+app.use(express.json({ limit: Math.ceil(media.MEDIA_MAX_BYTES * 1.4) }));
 app.use(express.urlencoded({ extended: true }));
 
-const authenticate = (req, res, next) => {
-  if (!AUTH_SECRET) return next();
-
+const authenticate = async (req, res, next) => {
   try {
-    const token =
-      req.headers.token ||
-      req.cookies.token ||
-      req.headers.authorization?.replace("Bearer ", "");
-
-    if (!token) {
-      return res.status(401).json({
-        status: "error",
-        message: "Authentication required. No token provided.",
-      });
-    }
-
-    req.user = jwt.verify(token, AUTH_SECRET);
+    req.user = await auth.authenticate(req);
     next();
   } catch (error) {
-    const message =
-      error.name === "TokenExpiredError"
-        ? "Token expired. Please login again."
-        : error.name === "JsonWebTokenError"
-          ? "Invalid token. Please login again."
-          : "Authentication failed.";
-    return res.status(401).json({ status: "error", message });
+    audit.authFailure(req, error);
+    errors.send(req, res, error);
   }
 };
 
-// --- Routes ---
+// Must follow `authenticate`. See auth.js for what each scope allows.
+const authorize = (scope) => (req, res, next) => {
+  if (auth.hasScope(req.user, scope)) return next();
+  errors.send(
+    req,
+    res,
+    errors.apiError(
+      "INSUFFICIENT_SCOPE",
+      { scope },
+      { scopes: req.user.scopes }
+    )
+  );
+};
 
-app.get("/health", authenticate, async (req, res) => {
-  const status = whatsapp.getStatus();
-  let sessionState = "UNKNOWN";
+// Legacy unscoped routes act on the default session; the
+// /sessions/:sessionId/* variants act on the named one.
+const resolveSession = (req, res, next) => {
+  const sessionId = req.params.sessionId || sessions.DEFAULT_SESSION_ID;
+  const session = sessions.get(sessionId);
 
-  try {
-    const client = whatsapp.getClient();
-    if (status.ready && client) {
-      sessionState = await client.getState();
-    }
-  } catch {
-    sessionState = "ERROR";
-  }
-
-  const response = {
-    status: status.ready ? "ok" : "error",
-    whatsapp: {
-      ready: status.ready,
-      authenticated: status.ready,
-      hasQr: status.qrCode !== null,
-      state: sessionState,
-      reconnecting: status.reconnecting,
+  if (!session) {
+    return errors.send(
+      req,
+      res,
+      errors.apiError("SESSION_NOT_FOUND", { sessionId })
+    );
+  }
+
+  req.waSession = session;
+  next();
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: media.MEDIA_MAX_BYTES, files: 1 },
+});
+
+// Accepts an optional multipart `file` upload, leaving JSON bodies alone.
+const acceptUpload = (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    errors.send(
+      req,
+      res,
+      err.code === "LIMIT_FILE_SIZE"
+        ? media.tooLarge()
+        : errors.apiError("INVALID_MEDIA", {
+            reason: "UPLOAD",
+            detail: err.message,
+          })
+    );
+  });
+};
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Taken from the Idempotency-Key header, or `idempotencyKey` in the body for
+// clients that cannot set headers.
+const idempotencyKeyOf = (req) => {
+  const key = req.get("Idempotency-Key") ?? req.body.idempotencyKey;
+  if (key === undefined) return null;
+  if (
+    typeof key !== "string" ||
+    key.length === 0 ||
+    key.length > MAX_IDEMPOTENCY_KEY_LENGTH
+  ) {
+    throw errors.apiError("INVALID_REQUEST", {
+      reason: "IDEMPOTENCY_KEY",
+      max: MAX_IDEMPOTENCY_KEY_LENGTH,
+    });
+  }
+  return key;
+};
+
+// Group ids (`…@g.us`) are sent to as they are; anything else must be a
+// phone number.
+const recipientOf = (to) =>
+  groups.isGroupId(to) ? to : phone.normalize(to).number;
+
+// Queues a message and answers with the send result, or with 202 when it
+// is still waiting in the queue. Shared by every sending route.
+const enqueueAndRespond = async (
+  req,
+  res,
+  { to, phoneNumber, message, attachment, location, extra = {} }
+) => {
+  const status = req.waSession.getStatus();
+  let job = await queue.enqueue({
+    sessionId: req.waSession.id,
+    to: phoneNumber,
+    message,
+    attachment,
+    location,
+    idempotencyKey: idempotencyKeyOf(req),
+    origin: {
+      type: "api",
+      subject: req.user.subject,
+      subjectType: req.user.type,
+      subjectName: req.user.name,
     },
-    timestamp: new Date().toISOString(),
-  };
+  });
+  if (job.replayed) res.set("Idempotent-Replayed", "true");
 
-  if (status.ready && sessionState === "CONNECTED") {
-    res.status(200).json(response);
-  } else if (status.qrCode) {
-    res.status(200).json({ ...response, message: "Waiting for QR code scan" });
-  } else if (status.reconnecting) {
-    res
-      .status(503)
-      .json({ ...response, message: "WhatsApp client is reconnecting" });
-  } else {
-    res.status(503).json({
-      ...response,
-      message: "WhatsApp client not initialized or disconnected",
+  // While the client is up, hold the request open for the send so
+  // callers get the message id as before. Otherwise the job waits in
+  // the queue until the session is ready again.
+  if (status.ready) {
+    job = await queue.waitFor(job.id, SEND_WAIT_TIMEOUT);
+  }
+
+  if (job.status === "sent") {
+    return res.status(200).json({
+      status: "success",
+      message: "Mensaje enviado exitosamente",
+      messageId: job.messageId,
+      to: job.chatId,
+      jobId: job.id,
+      ...extra,
     });
   }
+
+  if (job.status === "failed") {
+    const { code, status, message } = errors.localize(job.error, req);
+    return res.status(status).json({
+      status: "error",
+      code,
+      message,
+      error: job.error.detail || undefined,
+      phoneNumber,
+      originalInput: to,
+      jobId: job.id,
+      ...extra,
+    });
+  }
+
+  const msg = status.ready
+    ? "Mensaje en cola. Se enviará en cuanto sea posible."
+    : status.reconnecting
+      ? "El cliente de WhatsApp se está reconectando. El mensaje se enviará automáticamente al reconectar."
+      : "El cliente de WhatsApp no está listo. El mensaje se enviará automáticamente al conectar.";
+
+  res.status(202).json({
+    status: "queued",
+    message: msg,
+    jobId: job.id,
+    statusUrl: `/messages/${job.id}`,
+    ...extra,
+  });
+};
+
+// --- Routes ---
+
+app.get("/sessions", authenticate, authorize("admin"), async (req, res) => {
+  res.status(200).json({ status: "success", sessions: await sessions.list() });
 });
 
-app.get("/connect", authenticate, async (req, res) => {
-  try {
-    const status = whatsapp.getStatus();
+app.post(
+  "/sessions",
+  authenticate,
+  audit.middleware("session.create"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const session = await sessions.create({
+        id: req.body.id,
+        label: req.body.label,
+      });
+      res.status(201).json({
+        status: "success",
+        message: "Session created. Fetch its QR code via /connect.",
+        session,
+      });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
 
-    if (status.ready) {
-      return res.status(200).json({
-        status: "connected",
-        message: "WhatsApp is already connected and ready",
+app.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  audit.middleware("session.remove"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      await sessions.remove(req.params.sessionId);
+      res.status(200).json({
+        status: "success",
+        message: "Session logged out and removed",
       });
+    } catch (error) {
+      console.error("Error in DELETE /sessions:", error);
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get(
+  ["/health", "/sessions/:sessionId/health"],
+  authenticate,
+  authorize("read"),
+  resolveSession,
+  async (req, res) => {
+    const status = req.waSession.getStatus();
+    let sessionState = "UNKNOWN";
+
+    try {
+      const client = req.waSession.getClient();
+      if (status.ready && client) {
+        sessionState = await client.getState();
+      }
+    } catch {
+      sessionState = "ERROR";
     }
 
-    if (status.qrCode) {
-      return res.status(200).json({
-        status: "qr_ready",
-        qr: status.qrCode,
-        message: "Scan this QR code with WhatsApp",
+    const response = {
+      status: status.ready ? "ok" : "error",
+      session: req.waSession.id,
+      whatsapp: {
+        ready: status.ready,
+        authenticated: status.ready,
+        hasQr: status.qrCode !== null,
+        hasPairingCode: status.pairing !== null,
+        state: sessionState,
+        reconnecting: status.reconnecting,
+      },
+      connection: {
+        state: status.state,
+        since: status.stateSince,
+        nextAttemptAt: status.nextAttemptAt,
+        circuit: status.circuit,
+      },
+      browser: status.browser,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (status.ready && sessionState === "CONNECTED") {
+      res.status(200).json(response);
+    } else if (status.qrCode) {
+      res
+        .status(200)
+        .json({ ...response, message: "Waiting for QR code scan" });
+    } else if (status.pairing) {
+      res
+        .status(200)
+        .json({ ...response, message: "Waiting for the pairing code" });
+    } else if (status.reconnecting) {
+      res
+        .status(503)
+        .json({ ...response, message: "WhatsApp client is reconnecting" });
+    } else if (status.circuit.state === "open") {
+      res.status(503).json({
+        ...response,
+        message: `WhatsApp client keeps failing to start; next attempt at ${status.nextAttemptAt}`,
+      });
+    } else {
+      res.status(503).json({
+        ...response,
+        message: "WhatsApp client not initialized or disconnected",
       });
     }
+  }
+);
 
-    res.status(202).json({
-      status: "generating",
-      message: "QR code is being generated, please try again in a few seconds",
-    });
-  } catch (error) {
-    console.error("Error in /connect:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Failed to generate QR code",
-      error: error.message,
+// Recent connection state transitions, newest first, with the reason for
+// each (see connection.js for the states).
+app.get(
+  ["/status/history", "/sessions/:sessionId/status/history"],
+  authenticate,
+  authorize("read"),
+  resolveSession,
+  async (req, res) => {
+    const limit = Math.min(
+      parseInt(req.query.limit, 10) || 50,
+      connection.MAX_HISTORY
+    );
+    const status = req.waSession.getStatus();
+    res.status(200).json({
+      status: "success",
+      session: req.waSession.id,
+      state: status.state,
+      since: status.stateSince,
+      nextAttemptAt: status.nextAttemptAt,
+      circuit: status.circuit,
+      transitions: await connection.history(req.waSession.id, { limit }),
     });
   }
-});
+);
 
-app.post("/send-msg", authenticate, async (req, res) => {
-  let whatsappNumber = null;
-  try {
-    const { to, message } = req.body;
+app.get(
+  ["/connect", "/sessions/:sessionId/connect"],
+  authenticate,
+  audit.middleware("session.connect"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const status = req.waSession.getStatus();
+
+      if (status.ready) {
+        return res.status(200).json({
+          status: "connected",
+          message: "WhatsApp is already connected and ready",
+        });
+      }
+
+      if (status.qrCode) {
+        return res.status(200).json({
+          status: "qr_ready",
+          qr: status.qrCode,
+          message: "Scan this QR code with WhatsApp",
+        });
+      }
+
+      if (status.pairing) {
+        return res.status(200).json(pairingCodeBody(status.pairing));
+      }
 
-    if (!to || !message) {
-      return res.status(400).json({
-        status: "error",
+      res.status(202).json({
+        status: "generating",
         message:
-          "Faltan campos requeridos: 'to' y 'message' son obligatorios",
+          "QR code is being generated, please try again in a few seconds",
       });
+    } catch (error) {
+      console.error("Error in /connect:", error);
+      errors.send(req, res, error);
     }
+  }
+);
 
-    const status = whatsapp.getStatus();
-    if (!status.ready) {
-      const msg = status.reconnecting
-        ? "El cliente de WhatsApp se está reconectando. Por favor intenta de nuevo en unos segundos."
-        : "El cliente de WhatsApp no está listo. Por favor conéctate primero usando el endpoint /connect";
-      return res.status(503).json({ status: "error", message: msg });
+function pairingCodeBody(pairing) {
+  return {
+    status: "pairing_code_ready",
+    ...pairing,
+    message:
+      "On the phone, open WhatsApp → Linked devices → Link a device → " +
+      "Link with phone number instead, and enter this code",
+  };
+}
+
+// Links by phone number instead of QR: restarts the session's client in
+// pairing-code mode and answers with the code once WhatsApp issues it.
+app.post(
+  ["/connect/pairing-code", "/sessions/:sessionId/connect/pairing-code"],
+  authenticate,
+  audit.middleware("session.pair"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const { number } = phone.normalize(req.body.phoneNumber);
+      const pairing = await req.waSession.requestPairingCode(number);
+      res.status(200).json(pairingCodeBody(pairing));
+    } catch (error) {
+      errors.send(req, res, error);
     }
+  }
+);
 
-    const client = whatsapp.getClient();
-    let phoneNumber = to.replace(/\D/g, "").replace("@c.us", "");
+// Live QR, loading progress and connection changes as Server-Sent Events,
+// instead of polling /connect and /health while pairing.
+app.get(
+  ["/events", "/sessions/:sessionId/events"],
+  authenticate,
+  authorize("admin"),
+  resolveSession,
+  (req, res) => {
+    stream.open(req, res, req.waSession);
+  }
+);
 
-    if (!phoneNumber || phoneNumber.length < 10) {
-      return res.status(400).json({
-        status: "error",
-        message:
-          "Formato de número inválido. El número debe tener al menos 10 dígitos.",
+app.post(
+  ["/send-msg", "/sessions/:sessionId/send-msg"],
+  authenticate,
+  audit.middleware("send.message"),
+  authorize("send"),
+  resolveSession,
+  acceptUpload,
+  async (req, res) => {
+    try {
+      const { to, location } = req.body;
+      const message = req.body.message || req.body.caption;
+      const hasMedia = Boolean(req.file || req.body.media);
+
+      if (!to || (!message && !hasMedia && !location)) {
+        return errors.send(
+          req,
+          res,
+          errors.apiError("MISSING_FIELDS", {
+            fields: ["to", "message|media|file|location"],
+          })
+        );
+      }
+
+      const phoneNumber = recipientOf(to);
+
+      let attachment = null;
+      let place = null;
+      if (location) place = send.parseLocation(location);
+      else attachment = await media.fromRequest(req);
+
+      await enqueueAndRespond(req, res, {
+        to,
+        phoneNumber,
+        message,
+        attachment,
+        location: place,
       });
+    } catch (error) {
+      if (!errors.CODES[error.code])
+        console.error("Error sending message:", error.message);
+      errors.send(req, res, error);
     }
+  }
+);
 
+app.post(
+  ["/send-template", "/sessions/:sessionId/send-template"],
+  authenticate,
+  audit.middleware("send.template"),
+  authorize("send"),
+  resolveSession,
+  async (req, res) => {
     try {
-      const numberId = await client.getNumberId(phoneNumber);
-      if (numberId) {
-        whatsappNumber = numberId._serialized;
-      } else {
-        return res.status(400).json({
-          status: "error",
-          message: "Este numero no tiene WhatsApp",
-          phoneNumber: phoneNumber,
-          originalInput: to,
-        });
+      const { to, template, locale, variables } = req.body;
+
+      if (!to || !template) {
+        return errors.send(
+          req,
+          res,
+          errors.apiError("MISSING_FIELDS", { fields: ["to", "template"] })
+        );
       }
-    } catch (validationError) {
-      const msg = validationError.message || "";
+
+      const phoneNumber = recipientOf(to);
+      const rendered = await templates.render(template, { locale, variables });
+
+      await enqueueAndRespond(req, res, {
+        to,
+        phoneNumber,
+        message: rendered.message,
+        extra: { template: rendered.template, locale: rendered.locale },
+      });
+    } catch (error) {
+      if (!errors.CODES[error.code])
+        console.error("Error sending template:", error.message);
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get("/templates", authenticate, authorize("read"), async (req, res) => {
+  res
+    .status(200)
+    .json({ status: "success", templates: await templates.list() });
+});
+
+app.get(
+  "/templates/:name",
+  authenticate,
+  authorize("read"),
+  async (req, res) => {
+    const template = await templates.get(req.params.name);
+    if (!template) {
+      return errors.send(
+        req,
+        res,
+        errors.apiError("TEMPLATE_NOT_FOUND", { name: req.params.name })
+      );
+    }
+    res.status(200).json({ status: "success", template });
+  }
+);
+
+app.post(
+  "/templates",
+  authenticate,
+  audit.middleware("template.create"),
+  authorize("templates"),
+  async (req, res) => {
+    try {
+      const template = await templates.create(req.body);
+      res.status(201).json({ status: "success", template });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.put(
+  "/templates/:name",
+  authenticate,
+  audit.middleware("template.update"),
+  authorize("templates"),
+  async (req, res) => {
+    try {
+      const template = await templates.update(req.params.name, req.body);
+      res.status(200).json({ status: "success", template });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.delete(
+  "/templates/:name",
+  authenticate,
+  audit.middleware("template.delete"),
+  authorize("templates"),
+  async (req, res) => {
+    try {
+      await templates.remove(req.params.name);
+      res.status(200).json({ status: "success", message: "Template removed" });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.post(
+  "/templates/:name/render",
+  authenticate,
+  authorize("read"),
+  async (req, res) => {
+    try {
+      const rendered = await templates.render(req.params.name, req.body);
+      res.status(200).json({ status: "success", ...rendered });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.post(
+  ["/send-bulk", "/sessions/:sessionId/send-bulk"],
+  authenticate,
+  audit.middleware("send.bulk"),
+  authorize("send"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const batch = await bulk.create(req.waSession, req.body);
+      res.status(202).json({
+        status: "success",
+        message: "Lote aceptado, los mensajes se enviarán en segundo plano",
+        batchId: batch.id,
+        statusUrl: `/send-bulk/${batch.id}`,
+        batch,
+      });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get(
+  "/send-bulk/:batchId",
+  authenticate,
+  authorize("read"),
+  async (req, res) => {
+    const batch = await bulk.get(req.params.batchId);
+    if (!batch) {
+      return errors.send(req, res, errors.apiError("BATCH_NOT_FOUND"));
+    }
+    res.status(200).json({ status: "success", batch });
+  }
+);
+
+const MAX_VALIDATE_NUMBERS = 100;
+
+app.post(
+  ["/numbers/validate", "/sessions/:sessionId/numbers/validate"],
+  authenticate,
+  authorize("read"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const { number, numbers, country } = req.body;
+      const inputs = numbers ?? (number !== undefined ? [number] : null);
+
       if (
-        msg.includes("not registered") ||
-        msg.includes("not found") ||
-        msg.includes("No LID") ||
-        msg.includes("LID for user")
+        !Array.isArray(inputs) ||
+        inputs.length === 0 ||
+        inputs.length > MAX_VALIDATE_NUMBERS
       ) {
-        return res.status(400).json({
-          status: "error",
-          message: "Este numero no tiene WhatsApp",
-          phoneNumber: phoneNumber,
-          originalInput: to,
+        return errors.send(
+          req,
+          res,
+          errors.apiError("INVALID_REQUEST", {
+            reason: "NUMBERS_REQUIRED",
+            max: MAX_VALIDATE_NUMBERS,
+          })
+        );
+      }
+
+      const defaultCountry = country
+        ? String(country).toUpperCase()
+        : phone.DEFAULT_COUNTRY;
+      if (!phone.isSupportedCountry(defaultCountry)) {
+        return errors.send(
+          req,
+          res,
+          errors.apiError("UNKNOWN_COUNTRY", { country })
+        );
+      }
+
+      const client = req.waSession.getClient();
+      const sessionReady = Boolean(client && req.waSession.getStatus().ready);
+
+      const results = [];
+      for (const input of inputs) {
+        let parsed;
+        try {
+          parsed = phone.normalize(input, { defaultCountry });
+        } catch (error) {
+          if (!error.code) throw error;
+          results.push({
+            valid: false,
+            input,
+            code: error.code,
+            reason: error.params.reason,
+            message: errors.localize(error, req).message,
+          });
+          continue;
+        }
+
+        results.push({
+          valid: true,
+          ...parsed,
+          optedOut: await optOuts.isOptedOut(parsed.number),
+          whatsapp: sessionReady
+            ? await send.lookupNumber(client, parsed.number)
+            : null,
         });
       }
-      console.log("Validation error, attempting send anyway");
+
+      res.status(200).json({ status: "success", sessionReady, results });
+    } catch (error) {
+      errors.send(req, res, error);
     }
+  }
+);
 
-    const result = await client.sendMessage(whatsappNumber, message, {
-      sendSeen: false,
-    });
+app.post(
+  ["/schedule", "/sessions/:sessionId/schedule"],
+  authenticate,
+  audit.middleware("schedule.create"),
+  authorize("send"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const schedule = await scheduler.create(req.waSession.id, req.body);
+      res.status(201).json({ status: "success", schedule });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
 
-    res.status(200).json({
-      status: "success",
-      message: "Mensaje enviado exitosamente",
-      messageId: result.id._serialized,
-      to: whatsappNumber,
-    });
+app.get("/schedule", authenticate, authorize("read"), async (req, res) => {
+  res.status(200).json({
+    status: "success",
+    schedules: await scheduler.list({
+      sessionId: req.query.sessionId,
+      status: req.query.status,
+    }),
+  });
+});
+
+app.get("/schedule/:id", authenticate, authorize("read"), async (req, res) => {
+  try {
+    const schedule = await scheduler.get(req.params.id);
+    res.status(200).json({ status: "success", schedule });
   } catch (error) {
-    console.error("Error sending message:", error.message);
+    errors.send(req, res, error);
+  }
+});
+
+app.put(
+  "/schedule/:id",
+  authenticate,
+  audit.middleware("schedule.update"),
+  authorize("send"),
+  async (req, res) => {
+    try {
+      const schedule = await scheduler.reschedule(req.params.id, req.body);
+      res.status(200).json({ status: "success", schedule });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.delete(
+  "/schedule/:id",
+  authenticate,
+  audit.middleware("schedule.cancel"),
+  authorize("send"),
+  async (req, res) => {
+    try {
+      const schedule = await scheduler.cancel(req.params.id);
+      res.status(200).json({ status: "success", schedule });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get("/messages/:id", authenticate, authorize("read"), async (req, res) => {
+  const job = await queue.get(req.params.id);
+  if (!job) {
+    return errors.send(req, res, errors.apiError("MESSAGE_NOT_FOUND"));
+  }
+  res.status(200).json({
+    status: "success",
+    job: { ...job, error: errors.localize(job.error, req) },
+  });
+});
+
+app.post(
+  ["/reconnect", "/sessions/:sessionId/reconnect"],
+  authenticate,
+  audit.middleware("session.reconnect"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      await req.waSession.reconnect();
+      res.status(200).json({
+        status: "success",
+        message: "Reconnection initiated. Check /health for status.",
+      });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.post(
+  ["/logout", "/sessions/:sessionId/logout"],
+  authenticate,
+  audit.middleware("session.logout"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      await req.waSession.logout();
+      res.status(200).json({
+        status: "success",
+        message:
+          "Logged out. Session cleared. Scan QR code again via /connect.",
+      });
+    } catch (error) {
+      console.error("Error in /logout:", error);
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get(
+  ["/snapshots", "/sessions/:sessionId/snapshots"],
+  authenticate,
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      res.status(200).json({
+        status: "success",
+        snapshots: await snapshots.list(req.waSession.id),
+      });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.post(
+  ["/snapshots", "/sessions/:sessionId/snapshots"],
+  authenticate,
+  audit.middleware("snapshot.create"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const snapshot = await snapshots.create(req.waSession.id);
+      res.status(201).json({ status: "success", snapshot });
+    } catch (error) {
+      if (!errors.CODES[error.code])
+        console.error("Error in POST /snapshots:", error.message);
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.post(
+  ["/snapshots/:id/restore", "/sessions/:sessionId/snapshots/:id/restore"],
+  authenticate,
+  audit.middleware("snapshot.restore"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const snapshot = await snapshots.restore(req.waSession, req.params.id);
+      res.status(200).json({
+        status: "success",
+        message: "Snapshot restored. Restarting; check /health for status.",
+        snapshot,
+      });
+    } catch (error) {
+      if (!errors.CODES[error.code])
+        console.error("Error in POST /snapshots/:id/restore:", error.message);
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.delete(
+  ["/snapshots/:id", "/sessions/:sessionId/snapshots/:id"],
+  authenticate,
+  audit.middleware("snapshot.delete"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const snapshot = await snapshots.remove(req.waSession.id, req.params.id);
+      res.status(200).json({ status: "success", snapshot });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get("/opt-outs", authenticate, authorize("read"), async (req, res) => {
+  res.status(200).json({ status: "success", optOuts: await optOuts.list() });
+});
+
+app.get(
+  "/opt-outs/:number",
+  authenticate,
+  authorize("read"),
+  async (req, res) => {
+    try {
+      const { number } = phone.normalize(req.params.number);
+      res.status(200).json({
+        status: "success",
+        number,
+        optedOut: await optOuts.isOptedOut(number),
+      });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
 
-    const errorMsg = error.message || "";
-    const errorName = error.name || "";
-    let errorMessage = "Error al enviar el mensaje";
+app.post(
+  "/opt-outs",
+  authenticate,
+  audit.middleware("opt_out.add"),
+  authorize("send"),
+  async (req, res) => {
+    try {
+      const { entry, created } = await optOuts.add(req.body.number, {
+        reason: req.body.reason,
+      });
+      res
+        .status(created ? 201 : 200)
+        .json({ status: "success", optOut: entry });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+// Only admins can take a number off the list, since that is where its
+// owner's consent is recorded.
+app.delete(
+  "/opt-outs/:number",
+  authenticate,
+  audit.middleware("opt_out.remove"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const optOut = await optOuts.remove(req.params.number);
+      res.status(200).json({ status: "success", optOut });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get(
+  "/receipts/:messageId",
+  authenticate,
+  authorize("read"),
+  async (req, res) => {
+    const receipt = await receipts.get(req.params.messageId);
+    if (!receipt) {
+      return errors.send(req, res, errors.apiError("RECEIPT_NOT_FOUND"));
+    }
+    res.status(200).json({ status: "success", receipt });
+  }
+);
+
+app.post(
+  "/receipts/lookup",
+  authenticate,
+  authorize("read"),
+  async (req, res) => {
+    const { messageIds } = req.body;
 
     if (
-      errorMsg.includes("Session closed") ||
-      errorMsg.includes("Target closed") ||
-      errorMsg.includes("Protocol error") ||
-      errorMsg.includes("Target.setDiscoverTargets") ||
-      errorName === "TargetCloseError" ||
-      errorName === "ProtocolError"
-    ) {
-      try {
-        whatsapp.reconnect();
-      } catch {
-        // Already reconnecting
-      }
-      errorMessage =
-        "La sesión de WhatsApp expiró o se perdió la conexión. Reconectando automáticamente.";
-    } else if (
-      errorMsg.includes("No LID for user") ||
-      errorMsg.includes("LID for user")
-    ) {
-      errorMessage = "Este numero no tiene WhatsApp";
-    } else if (
-      errorMsg.includes("markedUnread") ||
-      errorMsg.includes("Cannot read properties of undefined")
-    ) {
-      errorMessage = "Este numero no tiene WhatsApp";
-    } else if (
-      errorMsg.includes("Evaluation failed") ||
-      errorMsg.includes("ExecutionContext")
+      !Array.isArray(messageIds) ||
+      messageIds.length === 0 ||
+      messageIds.some((id) => typeof id !== "string")
     ) {
-      try {
-        whatsapp.reconnect();
-      } catch {
-        // Already reconnecting
-      }
-      errorMessage =
-        "Error de conexión con WhatsApp. Reconectando automáticamente.";
-    } else if (errorMsg === "t") {
-      errorMessage = "Este numero no tiene WhatsApp";
-    } else if (
-      errorMsg.includes("not registered") ||
-      errorMsg.includes("not found")
-    ) {
-      errorMessage = "Este numero no tiene WhatsApp";
-    } else {
-      errorMessage =
-        "Error al enviar el mensaje. Por favor verifica el número e intenta de nuevo.";
+      return errors.send(
+        req,
+        res,
+        errors.apiError("INVALID_REQUEST", { reason: "MESSAGE_IDS_REQUIRED" })
+      );
     }
 
-    res.status(500).json({
-      status: "error",
-      message: errorMessage,
-      error: error.message || "Unknown error",
-      phoneNumber: whatsappNumber || "unknown",
+    if (messageIds.length > receipts.MAX_LOOKUP) {
+      return errors.send(
+        req,
+        res,
+        errors.apiError("INVALID_REQUEST", {
+          reason: "TOO_MANY_MESSAGE_IDS",
+          max: receipts.MAX_LOOKUP,
+        })
+      );
+    }
+
+    res
+      .status(200)
+      .json({ status: "success", ...(await receipts.lookup(messageIds)) });
+  }
+);
+
+app.get(
+  ["/chats", "/sessions/:sessionId/chats"],
+  authenticate,
+  authorize("read"),
+  resolveSession,
+  async (req, res) => {
+    const chats = await inbox.listChats(req.waSession.id, {
+      unreadOnly: req.query.unread === "true",
+    });
+    res.status(200).json({ status: "success", chats });
+  }
+);
+
+app.get(
+  ["/chats/:chatId/messages", "/sessions/:sessionId/chats/:chatId/messages"],
+  authenticate,
+  authorize("read"),
+  resolveSession,
+  async (req, res) => {
+    const page = await inbox.getMessages(req.waSession.id, req.params.chatId, {
+      before: req.query.before,
+      limit: parseInt(req.query.limit, 10) || 50,
     });
+    if (!page) {
+      return errors.send(req, res, errors.apiError("CHAT_NOT_FOUND"));
+    }
+    res.status(200).json({ status: "success", ...page });
+  }
+);
+
+app.post(
+  ["/chats/:chatId/read", "/sessions/:sessionId/chats/:chatId/read"],
+  authenticate,
+  authorize("send"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const chat = await inbox.markRead(req.waSession, req.params.chatId);
+      if (!chat) {
+        return errors.send(req, res, errors.apiError("CHAT_NOT_FOUND"));
+      }
+      res.status(200).json({ status: "success", chat });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+// Groups the linked account belongs to. Messages go to a group through
+// /send-msg (or /send-template) with its id as `to`.
+app.get(
+  ["/groups", "/sessions/:sessionId/groups"],
+  authenticate,
+  authorize("read"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      res
+        .status(200)
+        .json({ status: "success", groups: await groups.list(req.waSession) });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get(
+  ["/groups/:groupId", "/sessions/:sessionId/groups/:groupId"],
+  authenticate,
+  authorize("read"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const group = await groups.get(
+        req.waSession,
+        groups.parseGroupId(req.params.groupId)
+      );
+      res.status(200).json({ status: "success", group });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.post(
+  ["/groups", "/sessions/:sessionId/groups"],
+  authenticate,
+  audit.middleware("group.create"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const group = await groups.create(req.waSession, req.body);
+      res.status(201).json({ status: "success", group });
+    } catch (error) {
+      if (!errors.CODES[error.code])
+        console.error("Error creating group:", error.message);
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.put(
+  ["/groups/:groupId", "/sessions/:sessionId/groups/:groupId"],
+  authenticate,
+  audit.middleware("group.update"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const group = await groups.update(
+        req.waSession,
+        groups.parseGroupId(req.params.groupId),
+        req.body
+      );
+      res.status(200).json({ status: "success", group });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.post(
+  [
+    "/groups/:groupId/participants",
+    "/sessions/:sessionId/groups/:groupId/participants",
+  ],
+  authenticate,
+  audit.middleware("group.add_participants"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const results = await groups.addParticipants(
+        req.waSession,
+        groups.parseGroupId(req.params.groupId),
+        req.body.participants
+      );
+      res.status(200).json({ status: "success", results });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.delete(
+  [
+    "/groups/:groupId/participants/:number",
+    "/sessions/:sessionId/groups/:groupId/participants/:number",
+  ],
+  authenticate,
+  audit.middleware("group.remove_participant"),
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const result = await groups.removeParticipant(
+        req.waSession,
+        groups.parseGroupId(req.params.groupId),
+        req.params.number
+      );
+      res.status(200).json({ status: "success", ...result });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
   }
+);
+
+app.get(
+  ["/groups/:groupId/invite", "/sessions/:sessionId/groups/:groupId/invite"],
+  authenticate,
+  authorize("admin"),
+  resolveSession,
+  async (req, res) => {
+    try {
+      const invite = await groups.inviteLink(
+        req.waSession,
+        groups.parseGroupId(req.params.groupId)
+      );
+      res.status(200).json({ status: "success", ...invite });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+// Rules that answer incoming messages on their own. Anyone who can read
+// may list them and try a message against them; only admins change them.
+app.get("/auto-replies", authenticate, authorize("read"), async (req, res) => {
+  res
+    .status(200)
+    .json({ status: "success", autoReplies: await autoReplies.list() });
 });
 
-app.post("/reconnect", authenticate, async (req, res) => {
-  try {
-    await whatsapp.reconnect();
-    res.status(200).json({
-      status: "success",
-      message: "Reconnection initiated. Check /health for status.",
+app.get(
+  "/auto-replies/states",
+  authenticate,
+  authorize("read"),
+  async (req, res) => {
+    const states = await autoReplies.states({
+      sessionId: req.query.sessionId,
     });
-  } catch (error) {
-    if (error.message === "Reconnection already in progress") {
-      return res.status(409).json({ status: "error", message: error.message });
+    res.status(200).json({ status: "success", states });
+  }
+);
+
+app.get(
+  "/auto-replies/:id",
+  authenticate,
+  authorize("read"),
+  async (req, res) => {
+    try {
+      const autoReply = await autoReplies.get(req.params.id);
+      res.status(200).json({ status: "success", autoReply });
+    } catch (error) {
+      errors.send(req, res, error);
     }
-    res.status(500).json({
-      status: "error",
-      message: "Failed to initiate reconnection",
-      error: error.message,
+  }
+);
+
+app.post(
+  "/auto-replies",
+  authenticate,
+  audit.middleware("auto_reply.create"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const autoReply = await autoReplies.create(req.body);
+      res.status(201).json({ status: "success", autoReply });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.post(
+  "/auto-replies/test",
+  authenticate,
+  authorize("read"),
+  async (req, res) => {
+    try {
+      const result = await autoReplies.test(req.body);
+      res.status(200).json({ status: "success", ...result });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.put(
+  "/auto-replies/:id",
+  authenticate,
+  audit.middleware("auto_reply.update"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const autoReply = await autoReplies.update(req.params.id, req.body);
+      res.status(200).json({ status: "success", autoReply });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.delete(
+  "/auto-replies/:id",
+  authenticate,
+  audit.middleware("auto_reply.delete"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const autoReply = await autoReplies.remove(req.params.id);
+      res.status(200).json({ status: "success", autoReply });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get("/webhooks", authenticate, authorize("admin"), async (req, res) => {
+  res.status(200).json({
+    status: "success",
+    events: webhooks.EVENTS,
+    webhooks: await webhooks.list(),
+  });
+});
+
+app.post(
+  "/webhooks",
+  authenticate,
+  audit.middleware("webhook.create"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const webhook = await webhooks.create({
+        url: req.body.url,
+        events: req.body.events,
+        sessionId: req.body.sessionId,
+        secret: req.body.secret,
+      });
+      res.status(201).json({
+        status: "success",
+        message:
+          "Webhook created. Store the secret now; it will not be shown again.",
+        webhook,
+      });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get(
+  "/webhooks/deliveries",
+  authenticate,
+  authorize("admin"),
+  async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const deliveries = await webhooks.listDeliveries({
+      subscriptionId: req.query.webhookId,
+      status: req.query.status,
+      limit,
     });
+    res.status(200).json({ status: "success", deliveries });
+  }
+);
+
+app.put(
+  "/webhooks/:id",
+  authenticate,
+  audit.middleware("webhook.update"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const webhook = await webhooks.update(req.params.id, req.body);
+      res.status(200).json({ status: "success", webhook });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.delete(
+  "/webhooks/:id",
+  authenticate,
+  audit.middleware("webhook.delete"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      await webhooks.remove(req.params.id);
+      res.status(200).json({ status: "success", message: "Webhook removed" });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.get("/api-keys", authenticate, authorize("admin"), async (req, res) => {
+  res.status(200).json({
+    status: "success",
+    roles: auth.ROLES,
+    keys: await auth.listKeys(),
+  });
+});
+
+app.post(
+  "/api-keys",
+  authenticate,
+  audit.middleware("api_key.create"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const key = await auth.createKey(req.body);
+      res.status(201).json({
+        status: "success",
+        message: "Guarda la key ahora, no se puede volver a consultar",
+        ...key,
+      });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
+  }
+);
+
+app.delete(
+  "/api-keys/:id",
+  authenticate,
+  audit.middleware("api_key.revoke"),
+  authorize("admin"),
+  async (req, res) => {
+    try {
+      const key = await auth.revokeKey(req.params.id);
+      res
+        .status(200)
+        .json({ status: "success", message: "API key revoked", key });
+    } catch (error) {
+      errors.send(req, res, error);
+    }
   }
+);
+
+app.get("/audit", authenticate, authorize("admin"), async (req, res) => {
+  try {
+    const entries = await audit.query(req.query);
+    res.status(200).json({ status: "success", count: entries.length, entries });
+  } catch (error) {
+    errors.send(req, res, error);
+  }
+});
+
+// Effective settings and where each came from, with secrets redacted.
+app.get("/config", authenticate, authorize("admin"), (req, res) => {
+  res.status(200).json({ status: "success", ...config.view() });
 });
 
-app.post("/logout", authenticate, async (req, res) => {
+app.get("/metrics", authenticate, authorize("read"), async (req, res) => {
   try {
-    await whatsapp.logout();
-    res.status(200).json({
-      status: "success",
-      message:
-        "Logged out. Session cleared. Scan QR code again via /connect.",
-    });
+    const { contentType, body } = await metrics.render();
+    res.set("Content-Type", contentType).send(body);
   } catch (error) {
-    console.error("Error in /logout:", error);
-    res.status(500).json({
-      status: "error",
-      message: "Failed to logout",
-      error: error.message,
-    });
+    errors.send(req, res, error);
   }
 });
 
@@ -324,27 +1443,105 @@ app.get("/", (req, res) => {
     message: "WhatsApp Web API",
     endpoints: {
       health: "GET /health",
-      connect: "GET /connect",
+      statusHistory: "GET /status/history",
+      connect: "GET /connect, POST /connect/pairing-code",
       sendMsg: "POST /send-msg",
+      sendTemplate: "POST /send-template",
+      sendBulk: "POST /send-bulk, GET /send-bulk/:batchId",
+      templates:
+        "GET|POST /templates, GET|PUT|DELETE /templates/:name, POST /templates/:name/render",
+      validateNumbers: "POST /numbers/validate",
+      schedule: "GET|POST /schedule, GET|PUT|DELETE /schedule/:id",
+      messageStatus: "GET /messages/:id",
+      optOuts: "GET|POST /opt-outs, GET|DELETE /opt-outs/:number",
+      receipt: "GET /receipts/:messageId",
+      receiptLookup: "POST /receipts/lookup",
+      chats: "GET /chats",
+      chatMessages: "GET /chats/:chatId/messages",
+      markChatRead: "POST /chats/:chatId/read",
+      groups:
+        "GET|POST /groups, GET|PUT /groups/:groupId, POST /groups/:groupId/participants, DELETE /groups/:groupId/participants/:number, GET /groups/:groupId/invite",
+      autoReplies:
+        "GET|POST /auto-replies, GET|PUT|DELETE /auto-replies/:id, POST /auto-replies/test, GET /auto-replies/states",
+      webhooks: "GET|POST /webhooks, PUT|DELETE /webhooks/:id",
+      webhookDeliveries: "GET /webhooks/deliveries",
+      apiKeys: "GET|POST /api-keys, DELETE /api-keys/:id",
+      audit: "GET /audit",
+      metrics: "GET /metrics",
+      config: "GET /config",
+      events: "GET /events (Server-Sent Events)",
       reconnect: "POST /reconnect",
       logout: "POST /logout",
+      snapshots:
+        "GET|POST /snapshots, POST /snapshots/:id/restore, DELETE /snapshots/:id",
+      sessions: "GET|POST /sessions, DELETE /sessions/:sessionId",
+      sessionScoped:
+        "/sessions/:sessionId/{health,status/history,connect,connect/pairing-code,events,send-msg,send-template,send-bulk,numbers/validate,schedule,reconnect,logout,snapshots,chats,groups}",
     },
-    authentication: AUTH_SECRET ? "Enabled" : "Disabled (dev mode)",
+    authentication: auth.AUTH_SECRET ? "Enabled" : "Disabled (dev mode)",
   });
 });
 
+app.use((req, res) => {
+  errors.send(
+    req,
+    res,
+    errors.apiError("NOT_FOUND", { method: req.method, path: req.path })
+  );
+});
+
+// Body parser and CORS failures arrive here instead of a route's catch.
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return errors.send(req, res, errors.apiError("INVALID_JSON"));
+  }
+  if (err.type === "entity.too.large") {
+    return errors.send(req, res, errors.apiError("PAYLOAD_TOO_LARGE"));
+  }
+  if (!errors.CODES[err.code]) console.error("Unhandled error:", err);
+  errors.send(req, res, err);
+});
+
 // Start server immediately so health checks work during init
 app.listen(PORT, () => {
   console.log(`✓ Server running on port ${PORT}`);
 });
 
-whatsapp.initialize().catch((err) => {
-  console.error("WhatsApp initialization error:", err.message);
-});
+// Before the sessions start, so their first init attempts (and QR codes)
+// are not missed.
+metrics.start();
+stream.start();
+
+sessions
+  .initialize()
+  .then(() =>
+    Promise.all([
+      receipts.start(),
+      webhooks.start(),
+      inbox.start(),
+      optOuts.start(),
+      autoReplies.start(),
+      bulk.start(),
+      queue.start(),
+      scheduler.start(),
+    ])
+  )
+  .catch((err) => {
+    console.error("WhatsApp initialization error:", err.message);
+  });
 
 async function gracefulShutdown(signal) {
   console.log(`${signal} received, shutting down...`);
-  await whatsapp.shutdown();
+  queue.stop();
+  scheduler.stop();
+  stream.stop();
+  webhooks.stop();
+  await receipts.flush();
+  await inbox.flush();
+  await autoReplies.flush();
+  await audit.flush();
+  await sessions.shutdown();
+  await connection.flush();
   process.exit(0);
 }
 
@@ -0,0 +1,128 @@
+const path = require("path");
+const whatsapp = require("./whatsapp");
+const { createJsonStore } = require("./store");
+const { apiError } = require("./errors");
+const { settings } = require("./config");
+
+// Defaults to "dan-clean-wa", the clientId of the original single-number
+// deployment, so existing volumes come back up without a new QR scan.
+const DEFAULT_SESSION_ID = settings.defaultSessionId;
+
+// LocalAuth only accepts alphanumerics, underscores and hyphens.
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const registry = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "sessions.json"),
+  { sessions: [] }
+);
+
+const sessions = new Map();
+
+function describe(entry) {
+  const session = sessions.get(entry.id);
+  const status = session ? session.getStatus() : null;
+  return {
+    id: entry.id,
+    label: entry.label,
+    createdAt: entry.createdAt,
+    default: entry.id === DEFAULT_SESSION_ID,
+    ready: status ? status.ready : false,
+    state: status ? status.state : "stopped",
+    hasQr: status ? status.qrCode !== null : false,
+    hasPairingCode: status ? status.pairing !== null : false,
+    reconnecting: status ? status.reconnecting : false,
+  };
+}
+
+function start(id) {
+  const session = whatsapp.createSession(id);
+  sessions.set(id, session);
+  session.initialize().catch((err) => {
+    console.error(`[${id}] WhatsApp initialization error:`, err.message);
+  });
+  return session;
+}
+
+async function initialize() {
+  await whatsapp.prepareDataPath();
+  const data = await registry.load();
+
+  if (!data.sessions.some((s) => s.id === DEFAULT_SESSION_ID)) {
+    data.sessions.unshift({
+      id: DEFAULT_SESSION_ID,
+      label: "Default",
+      createdAt: new Date().toISOString(),
+    });
+    await registry.save();
+  }
+
+  for (const entry of data.sessions) {
+    start(entry.id);
+  }
+}
+
+function get(id) {
+  return sessions.get(id) || null;
+}
+
+// The running sessions, e.g. for metrics.
+function all() {
+  return [...sessions.values()];
+}
+
+async function list() {
+  const data = await registry.load();
+  return data.sessions.map(describe);
+}
+
+async function create({ id, label }) {
+  if (!id || !SESSION_ID_PATTERN.test(id)) {
+    throw apiError("INVALID_SESSION_ID");
+  }
+
+  const data = await registry.load();
+  if (data.sessions.some((s) => s.id === id)) {
+    throw apiError("SESSION_EXISTS", { sessionId: id });
+  }
+
+  const entry = { id, label: label || id, createdAt: new Date().toISOString() };
+  data.sessions.push(entry);
+  await registry.save();
+
+  start(id);
+  return describe(entry);
+}
+
+async function remove(id) {
+  if (id === DEFAULT_SESSION_ID) {
+    throw apiError("DEFAULT_SESSION_PROTECTED");
+  }
+
+  const data = await registry.load();
+  const index = data.sessions.findIndex((s) => s.id === id);
+  if (index === -1) {
+    throw apiError("SESSION_NOT_FOUND", { sessionId: id });
+  }
+
+  data.sessions.splice(index, 1);
+  await registry.save();
+
+  const session = sessions.get(id);
+  sessions.delete(id);
+  if (session) await session.remove();
+}
+
+async function shutdown() {
+  await Promise.all([...sessions.values()].map((s) => s.shutdown()));
+}
+
+module.exports = {
+  DEFAULT_SESSION_ID,
+  initialize,
+  get,
+  all,
+  list,
+  create,
+  remove,
+  shutdown,
+};
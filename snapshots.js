@@ -0,0 +1,279 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const archiver = require("archiver");
+const unzipper = require("unzipper");
+const storage = require("./storage");
+const { apiError } = require("./errors");
+const { settings } = require("./config");
+
+const SNAPSHOT_DIR = settings.snapshotDir;
+const SNAPSHOT_KEEP = settings.snapshotKeep;
+const ENCRYPTION_KEY = settings.snapshotEncryptionKey;
+
+// Why a snapshot was taken: "manual" (POST /snapshots), "ready", "wipe",
+// "logout", "remove" or "restore" (the profile a restore replaced). Only
+// manual snapshots are exempt from SNAPSHOT_KEEP.
+const NAME_PATTERN =
+  /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z_([a-z]+)\.zip(\.enc)?$/;
+
+// Encrypted snapshots: magic, scrypt salt and AES-GCM IV, the encrypted
+// zip, then the GCM tag.
+const MAGIC = Buffer.from("WASNAP01");
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = MAGIC.length + SALT_BYTES + IV_BYTES;
+
+// Chromium rebuilds its caches on demand and a restore doesn't need them;
+// they are most of a profile's size.
+const EXCLUDED = [
+  "Singleton*",
+  "**/*Cache/**",
+  "**/CacheStorage/**",
+  "component_crx_cache/**",
+  "Crashpad/**",
+];
+
+let backend = null;
+// Snapshots, restores and deletes of a session run one at a time.
+const locks = new Map();
+
+// Snapshots go wherever SESSION_STORE keeps backups, or to SNAPSHOT_DIR on
+// the data volume when it is "local".
+function getBackend() {
+  if (!backend) {
+    backend = storage.isRemote()
+      ? storage.getBackend()
+      : storage.createDirectoryBackend(SNAPSHOT_DIR);
+  }
+  return backend;
+}
+
+function folderOf(sessionId) {
+  return storage.isRemote() ? `snapshots/${sessionId}` : sessionId;
+}
+
+function exclusive(sessionId, task) {
+  const current = (locks.get(sessionId) || Promise.resolve())
+    .catch(() => {})
+    .then(task);
+  locks.set(sessionId, current);
+  current
+    .finally(() => {
+      if (locks.get(sessionId) === current) locks.delete(sessionId);
+    })
+    .catch(() => {});
+  return current;
+}
+
+function toView(name) {
+  const [, hour, minute, second, ms, reason, encrypted] =
+    name.match(NAME_PATTERN);
+  return {
+    id: name.replace(/\.zip(\.enc)?$/, ""),
+    createdAt: `${hour}:${minute}:${second}.${ms}Z`,
+    reason,
+    encrypted: Boolean(encrypted),
+  };
+}
+
+function unreadable(reason) {
+  return apiError("SNAPSHOT_UNREADABLE", { reason });
+}
+
+function tempPath(extension) {
+  return path.join(
+    storage.SESSION_DATA_PATH,
+    `.snapshot-${crypto.randomUUID()}${extension}`
+  );
+}
+
+async function exists(target) {
+  return fs.promises
+    .access(target)
+    .then(() => true)
+    .catch(() => false);
+}
+
+function deriveKey(salt) {
+  return crypto.scryptSync(ENCRYPTION_KEY, salt, 32);
+}
+
+// Files Chromium deletes while the profile is being read only raise a
+// "warning" and are left out.
+async function zipProfile(profileDir, filePath) {
+  const archive = archiver("zip");
+  const written = pipeline(archive, fs.createWriteStream(filePath));
+  archive.glob("**", { cwd: profileDir, dot: true, ignore: EXCLUDED });
+  await archive.finalize();
+  await written;
+}
+
+async function encryptFile(source, target) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(salt), iv);
+
+  await pipeline(
+    fs.createReadStream(source),
+    cipher,
+    async function* (encrypted) {
+      yield Buffer.concat([MAGIC, salt, iv]);
+      yield* encrypted;
+      yield cipher.getAuthTag();
+    },
+    fs.createWriteStream(target)
+  );
+}
+
+async function decryptFile(source, target) {
+  if (!ENCRYPTION_KEY) throw unreadable("KEY_MISSING");
+
+  const handle = await fs.promises.open(source);
+  const header = Buffer.alloc(HEADER_BYTES);
+  const tag = Buffer.alloc(TAG_BYTES);
+  let size;
+  try {
+    ({ size } = await handle.stat());
+    if (size <= HEADER_BYTES + TAG_BYTES) throw unreadable("CORRUPT");
+    await handle.read(header, 0, HEADER_BYTES, 0);
+    await handle.read(tag, 0, TAG_BYTES, size - TAG_BYTES);
+  } finally {
+    await handle.close();
+  }
+  if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw unreadable("CORRUPT");
+  }
+
+  const salt = header.subarray(MAGIC.length, MAGIC.length + SALT_BYTES);
+  const iv = header.subarray(MAGIC.length + SALT_BYTES);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(salt), iv);
+  decipher.setAuthTag(tag);
+  try {
+    await pipeline(
+      fs.createReadStream(source, {
+        start: HEADER_BYTES,
+        end: size - TAG_BYTES - 1,
+      }),
+      decipher,
+      fs.createWriteStream(target)
+    );
+  } catch {
+    // GCM can't tell a wrong key from tampered data.
+    throw unreadable("KEY_MISMATCH");
+  }
+}
+
+async function removeFiles(...files) {
+  await Promise.all(files.map((f) => fs.promises.rm(f, { force: true })));
+}
+
+// Drops the oldest automatic snapshots beyond SNAPSHOT_KEEP.
+async function prune(sessionId) {
+  const automatic = (await getBackend().list(folderOf(sessionId))).filter(
+    (name) => NAME_PATTERN.test(name) && toView(name).reason !== "manual"
+  );
+  for (const name of automatic.slice(0, -SNAPSHOT_KEEP)) {
+    await getBackend().remove(folderOf(sessionId), name);
+  }
+}
+
+async function take(sessionId, reason) {
+  const profileDir = storage.profileDir(sessionId);
+  if (!(await exists(profileDir))) throw apiError("SNAPSHOT_NO_PROFILE");
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const name = `${stamp}_${reason}.zip${ENCRYPTION_KEY ? ".enc" : ""}`;
+  const zipFile = tempPath(".zip");
+  const encryptedFile = tempPath(".enc");
+  try {
+    await zipProfile(profileDir, zipFile);
+    if (ENCRYPTION_KEY) await encryptFile(zipFile, encryptedFile);
+    await getBackend().upload(
+      folderOf(sessionId),
+      name,
+      ENCRYPTION_KEY ? encryptedFile : zipFile
+    );
+  } finally {
+    await removeFiles(zipFile, encryptedFile);
+  }
+
+  await prune(sessionId);
+  return toView(name);
+}
+
+async function find(sessionId, id) {
+  const names = await getBackend().list(folderOf(sessionId));
+  const name = names.find((n) => NAME_PATTERN.test(n) && toView(n).id === id);
+  if (!name) throw apiError("SNAPSHOT_NOT_FOUND", { id });
+  return name;
+}
+
+// Newest first.
+async function list(sessionId) {
+  const names = await getBackend().list(folderOf(sessionId));
+  return names
+    .filter((name) => NAME_PATTERN.test(name))
+    .map(toView)
+    .reverse();
+}
+
+// Zips the session's profile (encrypted when SNAPSHOT_ENCRYPTION_KEY is
+// set). The client keeps running, as with RemoteAuth backups.
+function create(sessionId, reason = "manual") {
+  return exclusive(sessionId, () => take(sessionId, reason));
+}
+
+// Replaces the session's profile with a snapshot and restarts its client.
+// The snapshot is downloaded, decrypted and checked before the client is
+// stopped, and the profile it replaces is snapshotted first.
+function restore(session, id) {
+  return exclusive(session.id, async () => {
+    const name = await find(session.id, id);
+    const downloaded = tempPath(".download");
+    const zipFile = tempPath(".zip");
+    try {
+      await getBackend().download(folderOf(session.id), name, downloaded);
+      if (name.endsWith(".enc")) await decryptFile(downloaded, zipFile);
+      else await fs.promises.rename(downloaded, zipFile);
+
+      let archive;
+      try {
+        archive = await unzipper.Open.file(zipFile);
+      } catch {
+        throw unreadable("CORRUPT");
+      }
+
+      await session.replaceProfile(async (profileDir) => {
+        try {
+          await take(session.id, "restore");
+        } catch (err) {
+          if (err.code !== "SNAPSHOT_NO_PROFILE") throw err;
+        }
+        await fs.promises.rm(profileDir, { recursive: true, force: true });
+        await fs.promises.mkdir(profileDir, { recursive: true });
+        await archive.extract({ path: profileDir });
+      });
+    } finally {
+      await removeFiles(downloaded, zipFile);
+    }
+    return toView(name);
+  });
+}
+
+function remove(sessionId, id) {
+  return exclusive(sessionId, async () => {
+    const name = await find(sessionId, id);
+    await getBackend().remove(folderOf(sessionId), name);
+    return toView(name);
+  });
+}
+
+module.exports = {
+  list,
+  create,
+  restore,
+  remove,
+};
@@ -0,0 +1,346 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { LocalAuth, RemoteAuth } = require("whatsapp-web.js");
+const { settings } = require("./config");
+
+const SESSION_DATA_PATH = settings.dataPath;
+
+// "local" keeps the Chromium profile on the data volume only (LocalAuth).
+// The others keep it there while running and back it up as a zip to a
+// directory, an S3-compatible bucket or Postgres (RemoteAuth), so a lost
+// volume or corrupted profile can be restored instead of re-pairing.
+const STORE = settings.sessionStore;
+const BACKUP_DIR = settings.sessionBackupDir;
+const BACKUP_INTERVAL = settings.sessionBackupIntervalMs;
+const BACKUP_KEEP = settings.sessionBackupKeep;
+
+let backend = null;
+// Backup to extract on a session's next start instead of the newest one,
+// set by restoreBackup.
+const pinned = new Map();
+
+// Each backend stores files in folders (one per session) and lists a
+// folder's file names in ascending order. Backup names start with a
+// timestamp, so the last one listed is the newest.
+
+function createDirectoryBackend(dir) {
+  const folderPath = (folder) => path.join(dir, folder);
+
+  return {
+    description: `directory ${dir}`,
+    async list(folder) {
+      try {
+        return (await fs.promises.readdir(folderPath(folder)))
+          .filter((name) => !name.endsWith(".tmp"))
+          .sort();
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+    },
+    async upload(folder, name, filePath) {
+      await fs.promises.mkdir(folderPath(folder), { recursive: true });
+      const target = path.join(folderPath(folder), name);
+      await fs.promises.copyFile(filePath, `${target}.tmp`);
+      await fs.promises.rename(`${target}.tmp`, target);
+    },
+    async download(folder, name, filePath) {
+      await fs.promises.copyFile(path.join(folderPath(folder), name), filePath);
+    },
+    async remove(folder, name) {
+      await fs.promises.rm(path.join(folderPath(folder), name), {
+        force: true,
+      });
+    },
+  };
+}
+
+// Works with AWS S3 and self-hosted stores such as MinIO (set S3_ENDPOINT).
+function createS3Backend() {
+  const {
+    S3Client,
+    ListObjectsV2Command,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+
+  const bucket = settings.s3Bucket;
+  const prefix = settings.s3Prefix;
+  const client = new S3Client({
+    region: settings.s3Region,
+    endpoint: settings.s3Endpoint || undefined,
+    // Self-hosted stores rarely support bucket subdomains.
+    forcePathStyle: Boolean(settings.s3Endpoint),
+    // Without these the SDK's usual AWS_* variables and roles apply.
+    credentials: settings.s3AccessKeyId
+      ? {
+          accessKeyId: settings.s3AccessKeyId,
+          secretAccessKey: settings.s3SecretAccessKey,
+        }
+      : undefined,
+  });
+  const key = (folder, name) => `${prefix}${folder}/${name}`;
+
+  return {
+    description: `s3://${bucket}/${prefix}`,
+    async list(folder) {
+      const names = [];
+      let token;
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: key(folder, ""),
+            ContinuationToken: token,
+          })
+        );
+        for (const object of page.Contents || []) {
+          names.push(object.Key.slice(key(folder, "").length));
+        }
+        token = page.NextContinuationToken;
+      } while (token);
+      return names.sort();
+    },
+    async upload(folder, name, filePath) {
+      const { size } = await fs.promises.stat(filePath);
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key(folder, name),
+          Body: fs.createReadStream(filePath),
+          ContentLength: size,
+        })
+      );
+    },
+    async download(folder, name, filePath) {
+      const object = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key(folder, name) })
+      );
+      await pipeline(object.Body, fs.createWriteStream(filePath));
+    },
+    async remove(folder, name) {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: key(folder, name) })
+      );
+    },
+  };
+}
+
+function createPostgresBackend() {
+  const { Pool } = require("pg");
+  const pool = new Pool({ connectionString: settings.databaseUrl, max: 2 });
+  let tableReady = null;
+
+  function ensureTable() {
+    if (!tableReady) {
+      tableReady = pool
+        .query(
+          `CREATE TABLE IF NOT EXISTS wwebjs_session_files (
+            folder TEXT NOT NULL,
+            name TEXT NOT NULL,
+            data BYTEA NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+            PRIMARY KEY (folder, name)
+          )`
+        )
+        .catch((err) => {
+          tableReady = null;
+          throw err;
+        });
+    }
+    return tableReady;
+  }
+
+  return {
+    description: "postgres",
+    async list(folder) {
+      await ensureTable();
+      const { rows } = await pool.query(
+        "SELECT name FROM wwebjs_session_files WHERE folder = $1 ORDER BY name",
+        [folder]
+      );
+      return rows.map((row) => row.name);
+    },
+    async upload(folder, name, filePath) {
+      await ensureTable();
+      await pool.query(
+        `INSERT INTO wwebjs_session_files (folder, name, data)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (folder, name) DO UPDATE SET data = EXCLUDED.data`,
+        [folder, name, await fs.promises.readFile(filePath)]
+      );
+    },
+    async download(folder, name, filePath) {
+      await ensureTable();
+      const { rows } = await pool.query(
+        "SELECT data FROM wwebjs_session_files WHERE folder = $1 AND name = $2",
+        [folder, name]
+      );
+      if (rows.length === 0) throw new Error(`${folder}/${name} not found`);
+      await fs.promises.writeFile(filePath, rows[0].data);
+    },
+    async remove(folder, name) {
+      await ensureTable();
+      await pool.query(
+        "DELETE FROM wwebjs_session_files WHERE folder = $1 AND name = $2",
+        [folder, name]
+      );
+    },
+  };
+}
+
+// Created on first use so only the configured backend's client is loaded.
+function getBackend() {
+  if (!backend) {
+    if (STORE === "directory") backend = createDirectoryBackend(BACKUP_DIR);
+    else if (STORE === "s3") backend = createS3Backend();
+    else if (STORE === "postgres") backend = createPostgresBackend();
+  }
+  return backend;
+}
+
+function backupName() {
+  return `${new Date().toISOString().replace(/[:.]/g, "-")}.zip`;
+}
+
+// The store interface RemoteAuth expects. It only ever passes the session
+// name and zips the profile to `<dataPath>/<session>.zip` itself. Each save
+// adds a backup and keeps the newest SESSION_BACKUP_KEEP; extracting takes
+// the newest unless restoreBackup pinned an older one.
+function createRemoteStore() {
+  const zipPath = (session) => path.join(SESSION_DATA_PATH, `${session}.zip`);
+
+  return {
+    async sessionExists({ session }) {
+      return (await getBackend().list(session)).length > 0;
+    },
+    async save({ session }) {
+      await getBackend().upload(session, backupName(), zipPath(session));
+      const names = await getBackend().list(session);
+      for (const name of names.slice(0, -BACKUP_KEEP)) {
+        await getBackend().remove(session, name);
+      }
+    },
+    async extract({ session, path: filePath }) {
+      const names = await getBackend().list(session);
+      const name = pinned.get(session) ?? names[names.length - 1];
+      pinned.delete(session);
+      await getBackend().download(session, name, filePath);
+    },
+    async delete({ session }) {
+      for (const name of await getBackend().list(session)) {
+        await getBackend().remove(session, name);
+      }
+    },
+  };
+}
+
+const remoteStore = createRemoteStore();
+
+async function exists(target) {
+  return fs.promises
+    .access(target)
+    .then(() => true)
+    .catch(() => false);
+}
+
+// RemoteAuth replaces the profile with the remote copy on every start,
+// which can be up to a backup interval old, and WhatsApp eventually logs
+// out a device restored from stale copies. This keeps the profile on the
+// volume whenever there is one and only extracts a backup when it is
+// missing: a new or lost volume, or a profile restoreBackup removed.
+class BackedUpAuth extends RemoteAuth {
+  async extractRemoteSession() {
+    if (!(await exists(this.userDataDir))) {
+      // Adopt a profile left by SESSION_STORE=local so switching stores
+      // needs no new QR scan.
+      await fs.promises
+        .rename(
+          path.join(this.dataPath, `session-${this.clientId}`),
+          this.userDataDir
+        )
+        .catch(() => {});
+    }
+    if (await exists(this.userDataDir)) return;
+    await super.extractRemoteSession();
+  }
+}
+
+function isRemote() {
+  return STORE !== "local";
+}
+
+// RemoteAuth's folder name for a session, also used as its backup folder.
+function remoteSessionName(sessionId) {
+  return `RemoteAuth-${sessionId}`;
+}
+
+// The Chromium profile directory each strategy uses for a session.
+function profileDir(sessionId) {
+  return path.join(
+    SESSION_DATA_PATH,
+    isRemote() ? remoteSessionName(sessionId) : `session-${sessionId}`
+  );
+}
+
+function createAuthStrategy(sessionId) {
+  if (!isRemote()) {
+    return new LocalAuth({ clientId: sessionId, dataPath: SESSION_DATA_PATH });
+  }
+  return new BackedUpAuth({
+    clientId: sessionId,
+    dataPath: SESSION_DATA_PATH,
+    store: remoteStore,
+    backupSyncIntervalMs: BACKUP_INTERVAL,
+  });
+}
+
+// Replaces the session's profile with a backup on its next start: the
+// newest for `index` 0, the one before it for 1, and so on. Resolves to
+// false when there is no such backup, in which case only a wipe is left.
+async function restoreBackup(sessionId, index) {
+  if (!isRemote()) return false;
+  const session = remoteSessionName(sessionId);
+  try {
+    const names = await getBackend().list(session);
+    if (index >= names.length) return false;
+    pinned.set(session, names[names.length - 1 - index]);
+    await fs.promises.rm(profileDir(sessionId), {
+      recursive: true,
+      force: true,
+    });
+    return true;
+  } catch (err) {
+    console.error(`[${sessionId}] Could not restore a backup:`, err.message);
+    return false;
+  }
+}
+
+async function deleteBackups(sessionId) {
+  if (!isRemote()) return;
+  try {
+    await remoteStore.delete({ session: remoteSessionName(sessionId) });
+  } catch (err) {
+    console.error(`[${sessionId}] Could not delete backups:`, err.message);
+  }
+}
+
+function describe() {
+  return isRemote()
+    ? `${STORE} (${getBackend().description}, every ${BACKUP_INTERVAL / 1000}s, keeping ${BACKUP_KEEP})`
+    : "local";
+}
+
+module.exports = {
+  SESSION_DATA_PATH,
+  isRemote,
+  getBackend,
+  createDirectoryBackend,
+  profileDir,
+  createAuthStrategy,
+  restoreBackup,
+  deleteBackups,
+  describe,
+};
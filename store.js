@@ -0,0 +1,72 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// Persists a single JSON document on the data volume. Writes go to a temp
+// file and are renamed into place so a container killed mid-write never
+// leaves a truncated file behind, and they are chained so two saves can't
+// interleave.
+function createJsonStore(filePath, defaults) {
+  let data = null;
+  let loading = null;
+  let pending = Promise.resolve();
+
+  async function read() {
+    let contents;
+    try {
+      contents = await fs.readFile(filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return structuredClone(defaults);
+      throw err;
+    }
+    try {
+      return JSON.parse(contents);
+    } catch (err) {
+      // Starting empty would let the next save overwrite whatever is
+      // still recoverable, so the file is kept next to the new one.
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      await fs.rename(filePath, corruptPath);
+      console.error(
+        `Failed to parse ${filePath} (${err.message}); moved it to ${corruptPath} and started empty`
+      );
+      return structuredClone(defaults);
+    }
+  }
+
+  // Every caller gets the same document, even when they ask while it is
+  // still being read; otherwise changes made to a second copy would be
+  // lost on the next save.
+  function load() {
+    if (!loading) {
+      loading = read().then(
+        (loaded) => {
+          data = loaded;
+          return data;
+        },
+        (err) => {
+          loading = null;
+          throw err;
+        }
+      );
+    }
+    return loading;
+  }
+
+  function save() {
+    const contents = JSON.stringify(data, null, 2);
+    pending = pending
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, contents);
+        await fs.rename(tmpPath, filePath);
+      })
+      .catch((err) => {
+        console.error(`Failed to write ${filePath}:`, err.message);
+      });
+    return pending;
+  }
+
+  return { load, save };
+}
+
+module.exports = { createJsonStore };
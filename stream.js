@@ -0,0 +1,95 @@
+const whatsapp = require("./whatsapp");
+
+// Railway's proxy (like most) closes connections idle for about a minute.
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const RETRY_DELAY = 3000;
+
+// Open Server-Sent Events connections, each following one session.
+const clients = new Set();
+let heartbeatTimer = null;
+
+function write(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(sessionId, event, data) {
+  const payload = { sessionId, ...data, timestamp: new Date().toISOString() };
+  for (const client of clients) {
+    if (client.sessionId === sessionId) write(client.res, event, payload);
+  }
+}
+
+function snapshot(session) {
+  const status = session.getStatus();
+  return {
+    sessionId: session.id,
+    ready: status.ready,
+    state: status.state,
+    reconnecting: status.reconnecting,
+    qr: status.qrCode,
+    pairing: status.pairing,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Starts a stream for `session`. The first event is a `status` snapshot
+// (including the current QR, if any), so a client that reconnects needs no
+// separate /connect or /health call to catch up.
+function open(req, res, session) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stops nginx-style proxies from buffering the stream.
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_DELAY}\n\n`);
+  write(res, "status", snapshot(session));
+
+  const client = { sessionId: session.id, res };
+  clients.add(client);
+  req.on("close", () => clients.delete(client));
+}
+
+function forward(event, name, toData) {
+  whatsapp.events.on(event, (sessionId, ...args) => {
+    broadcast(sessionId, name, toData(...args));
+  });
+}
+
+function start() {
+  forward("qr_code", "qr", (qr) => ({ qr }));
+  forward("pairing_code", "pairing_code", (code, phoneNumber) => ({
+    code,
+    phoneNumber,
+  }));
+  forward("loading_screen", "loading", (percent, message) => ({
+    percent: Number(percent),
+    message,
+  }));
+  forward("authenticated", "authenticated", () => ({}));
+  forward("auth_failure", "auth_failure", (message) => ({ message }));
+  forward("ready", "ready", () => ({}));
+  forward("disconnected", "disconnected", (reason) => ({ reason }));
+  forward("change_state", "change_state", (state) => ({ state }));
+  forward("reconnecting", "reconnecting", (reason) => ({ reason }));
+  forward("state", "state", (transition) => transition);
+
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients) client.res.write(": ping\n\n");
+  }, HEARTBEAT_INTERVAL);
+}
+
+function stop() {
+  if (heartbeatTimer) clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  for (const client of clients) client.res.end();
+  clients.clear();
+}
+
+module.exports = {
+  start,
+  stop,
+  open,
+};
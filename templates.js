@@ -0,0 +1,191 @@
+const path = require("path");
+const whatsapp = require("./whatsapp");
+const { createJsonStore } = require("./store");
+const { apiError } = require("./errors");
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const DEFAULT_LOCALE = "es";
+
+const store = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "templates.json"),
+  { templates: [] }
+);
+
+function invalid(reason, params) {
+  return apiError("INVALID_TEMPLATE", { reason, ...params });
+}
+
+function variablesOf(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER)].map((m) => m[1]))];
+}
+
+function toView(template) {
+  return {
+    name: template.name,
+    description: template.description,
+    defaultLocale: template.defaultLocale,
+    locales: template.locales,
+    variables: Object.fromEntries(
+      Object.entries(template.locales).map(([locale, text]) => [
+        locale,
+        variablesOf(text),
+      ])
+    ),
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+  };
+}
+
+function validate({ locales, defaultLocale, description }) {
+  if (
+    typeof locales !== "object" ||
+    locales === null ||
+    Array.isArray(locales) ||
+    Object.keys(locales).length === 0
+  ) {
+    throw invalid("LOCALES");
+  }
+
+  for (const [locale, text] of Object.entries(locales)) {
+    if (!LOCALE_PATTERN.test(locale)) {
+      throw invalid("LOCALE", { locale });
+    }
+    if (typeof text !== "string" || text.trim() === "") {
+      throw invalid("EMPTY_TEXT", { locale });
+    }
+  }
+
+  if (!Object.hasOwn(locales, defaultLocale)) {
+    throw invalid("DEFAULT_LOCALE", { locale: defaultLocale });
+  }
+
+  if (description && typeof description !== "string") {
+    throw invalid("DESCRIPTION");
+  }
+}
+
+// Picks the exact locale, then its language ("es" for "es-MX"), then the
+// template's default. Only the template's own locales count, so a locale
+// such as "constructor" falls back too.
+function resolveLocale(template, locale) {
+  if (locale && Object.hasOwn(template.locales, locale)) return locale;
+  const language = locale ? locale.split("-")[0] : null;
+  if (language && Object.hasOwn(template.locales, language)) return language;
+  return template.defaultLocale;
+}
+
+async function find(name) {
+  const data = await store.load();
+  return data.templates.find((t) => t.name === name) || null;
+}
+
+async function list() {
+  const data = await store.load();
+  return data.templates.map(toView);
+}
+
+async function get(name) {
+  const template = await find(name);
+  return template ? toView(template) : null;
+}
+
+async function create({ name, description, locales, defaultLocale }) {
+  if (!name || !NAME_PATTERN.test(name)) {
+    throw invalid("NAME");
+  }
+  if (await find(name)) {
+    throw apiError("TEMPLATE_EXISTS", { name });
+  }
+
+  const template = {
+    name,
+    description: description || null,
+    defaultLocale: defaultLocale || DEFAULT_LOCALE,
+    locales,
+  };
+  validate(template);
+
+  const now = new Date().toISOString();
+  template.createdAt = now;
+  template.updatedAt = now;
+
+  const data = await store.load();
+  data.templates.push(template);
+  await store.save();
+  return toView(template);
+}
+
+async function update(name, changes) {
+  const template = await find(name);
+  if (!template) throw apiError("TEMPLATE_NOT_FOUND", { name });
+
+  const next = {
+    description:
+      changes.description !== undefined
+        ? changes.description
+        : template.description,
+    locales: changes.locales ?? template.locales,
+    defaultLocale: changes.defaultLocale ?? template.defaultLocale,
+  };
+  validate(next);
+
+  Object.assign(template, next, { updatedAt: new Date().toISOString() });
+  await store.save();
+  return toView(template);
+}
+
+async function remove(name) {
+  const data = await store.load();
+  const index = data.templates.findIndex((t) => t.name === name);
+  if (index === -1) throw apiError("TEMPLATE_NOT_FOUND", { name });
+
+  data.templates.splice(index, 1);
+  await store.save();
+}
+
+// Renders a template, failing with MISSING_VARIABLES (listing all of them)
+// rather than sending a message with holes in it.
+async function render(name, { locale, variables = {} } = {}) {
+  const template = await find(name);
+  if (!template) throw apiError("TEMPLATE_NOT_FOUND", { name });
+
+  if (typeof variables !== "object" || variables === null) {
+    throw invalid("VARIABLES");
+  }
+
+  const resolved = resolveLocale(template, locale);
+  const text = template.locales[resolved];
+  // {{constructor}} must be reported as missing, not filled in with what
+  // every object inherits.
+  const missing = variablesOf(text).filter(
+    (v) =>
+      !Object.hasOwn(variables, v) ||
+      variables[v] === undefined ||
+      variables[v] === null
+  );
+
+  if (missing.length > 0) {
+    throw apiError(
+      "MISSING_VARIABLES",
+      { missing },
+      { missing, template: name, locale: resolved }
+    );
+  }
+
+  return {
+    template: name,
+    locale: resolved,
+    message: text.replace(PLACEHOLDER, (_, v) => String(variables[v])),
+  };
+}
+
+module.exports = {
+  list,
+  get,
+  create,
+  update,
+  remove,
+  render,
+};
@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const errors = require("../errors");
+
+function classify(message, name) {
+  const error = new Error(message);
+  if (name) error.name = name;
+  return errors.classify(error);
+}
+
+test("a closed browser session is retryable and reconnects", () => {
+  for (const failure of [
+    classify("Protocol error (Runtime.callFunctionOn): Session closed."),
+    classify("Navigating frame was detached", "TargetCloseError"),
+  ]) {
+    assert.equal(failure.code, "SESSION_LOST");
+    assert.equal(failure.retryable, true);
+    assert.equal(failure.reconnect, true);
+  }
+});
+
+test("a failed page evaluation is a connection error", () => {
+  const failure = classify("Evaluation failed: Error: something");
+  assert.equal(failure.code, "CONNECTION_ERROR");
+  assert.equal(failure.retryable, true);
+});
+
+test("WhatsApp's errors for unknown numbers mean NOT_ON_WHATSAPP", () => {
+  for (const message of ["t", "No LID for user", "wid not registered"]) {
+    const failure = classify(message);
+    assert.equal(failure.code, "NOT_ON_WHATSAPP");
+    assert.equal(failure.retryable, false);
+  }
+});
+
+test("an unknown failure is SEND_FAILED and is not retried", () => {
+  const failure = classify("Something odd happened");
+  assert.equal(failure.code, "SEND_FAILED");
+  assert.equal(failure.retryable, false);
+  assert.equal(failure.reconnect, false);
+});
+
+test("an API error keeps its own code", () => {
+  const failure = errors.classify(errors.apiError("CLIENT_NOT_READY"));
+  assert.equal(failure.code, "CLIENT_NOT_READY");
+  assert.equal(failure.status, 503);
+  assert.equal(failure.retryable, true);
+});
@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns");
+const http = require("http");
+const outbound = require("../outbound");
+
+test("refuses loopback, private and link-local addresses", async () => {
+  for (const url of [
+    "http://127.0.0.1/",
+    "http://10.1.2.3/",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::1]/",
+    "http://[::ffff:192.168.0.1]/",
+    "http://[fd00::1]/",
+  ]) {
+    await assert.rejects(outbound.assertPublic(url), (err) =>
+      outbound.isPrivateAddressError(err)
+    );
+  }
+});
+
+test("accepts a public address", async () => {
+  await outbound.assertPublic("http://93.184.216.34/");
+  await outbound.assertPublic("https://[2606:4700::1111]/");
+});
+
+test("checks the address it connects to, not only the first lookup", async (t) => {
+  const server = http.createServer((req, res) => res.end("internal"));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  // The up-front check sees a public address, as a rebinding DNS server
+  // would answer the first time; the connection resolves to loopback.
+  t.mock.method(dns.promises, "lookup", async () => [
+    { address: "93.184.216.34", family: 4 },
+  ]);
+
+  await assert.rejects(
+    outbound.fetchPublic(`http://localhost:${server.address().port}/`),
+    (err) => outbound.isPrivateAddressError(err)
+  );
+});
@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const phone = require("../phone");
+
+const MX = { defaultCountry: "MX" };
+
+test("reads a local number in the default country", () => {
+  const result = phone.normalize("81 1785 8904", MX);
+  assert.equal(result.e164, "+528117858904");
+  assert.equal(result.number, "528117858904");
+  assert.equal(result.country, "MX");
+});
+
+test("accepts E.164 and international digits without the plus", () => {
+  assert.equal(phone.normalize("+528117858904", MX).e164, "+528117858904");
+  assert.equal(phone.normalize("528117858904", MX).e164, "+528117858904");
+  assert.equal(phone.normalize("528117858904@c.us", MX).e164, "+528117858904");
+});
+
+test("strips Mexico's legacy mobile and long-distance prefixes", () => {
+  for (const input of [
+    "+5218117858904",
+    "5218117858904",
+    "18117858904",
+    "0448117858904",
+    "018117858904",
+  ]) {
+    assert.equal(phone.normalize(input, MX).e164, "+528117858904", input);
+  }
+});
+
+test("keeps a valid US number with a leading 1 in the US", () => {
+  const result = phone.normalize("14155552671", MX);
+  assert.equal(result.e164, "+14155552671");
+  assert.equal(result.country, "US");
+});
+
+test("rejects numbers that cannot exist", () => {
+  for (const [input, reason] of [
+    ["", "NUMBER_REQUIRED"],
+    [null, "NUMBER_REQUIRED"],
+    [{}, "NOT_A_NUMBER"],
+    ["81 1785", "TOO_SHORT"],
+  ]) {
+    assert.throws(
+      () => phone.normalize(input, MX),
+      (err) => err.code === "INVALID_NUMBER" && err.params.reason === reason,
+      String(input)
+    );
+  }
+});
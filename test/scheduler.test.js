@@ -0,0 +1,124 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Stores are created when the modules load, so the data path is set first.
+process.env.WWEBJS_DATA_PATH = fs.mkdtempSync(
+  path.join(os.tmpdir(), "scheduler-test-")
+);
+const sessions = require("../sessions");
+const queue = require("../queue");
+const scheduler = require("../scheduler");
+
+const START = Date.parse("2030-01-15T12:00:00Z");
+const MINUTE = 60 * 1000;
+
+let ready;
+let enqueued;
+
+beforeEach((t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: START });
+  ready = true;
+  enqueued = [];
+  t.mock.method(sessions, "get", () => ({
+    getStatus: () => ({ ready }),
+  }));
+  t.mock.method(queue, "enqueue", async (job) => {
+    enqueued.push(job);
+    return { id: `job-${enqueued.length}` };
+  });
+});
+
+function schedule(input) {
+  return scheduler.create("default", {
+    to: "+528117858904",
+    message: "Hola",
+    timezone: "America/Mexico_City",
+    ...input,
+  });
+}
+
+test("refuses a one-shot time in the past", async () => {
+  await assert.rejects(
+    schedule({ sendAt: "2030-01-15T05:00" }),
+    (err) => err.code === "INVALID_SCHEDULE" && err.params.reason === "IN_PAST"
+  );
+});
+
+test("reads sendAt and recurrence in the schedule's timezone", async () => {
+  const once = await schedule({ sendAt: "2030-01-15T09:00" });
+  assert.equal(once.nextRunAt, "2030-01-15T15:00:00.000Z");
+
+  const daily = await schedule({ recurrence: "0 8 * * *" });
+  assert.equal(daily.nextRunAt, "2030-01-15T14:00:00.000Z");
+});
+
+test("sends a due one-shot once and completes it", async (t) => {
+  const { id } = await schedule({ sendAt: "2030-01-15T06:01" });
+  t.mock.timers.tick(2 * MINUTE);
+
+  await scheduler.tick();
+  await scheduler.tick();
+
+  const done = await scheduler.get(id);
+  assert.equal(enqueued.length, 1);
+  assert.equal(
+    enqueued[0].idempotencyKey,
+    `schedule:${id}:2030-01-15T12:01:00.000Z`
+  );
+  assert.equal(done.status, "completed");
+  assert.equal(done.nextRunAt, null);
+  assert.equal(done.history[0].status, "queued");
+});
+
+test("records a run missed past its catch-up window and moves on", async (t) => {
+  ready = false;
+  const { id } = await schedule({
+    recurrence: "*/10 * * * *",
+    catchUpMinutes: 5,
+  });
+  t.mock.timers.tick(36 * MINUTE);
+
+  await scheduler.tick();
+
+  const after = await scheduler.get(id);
+  assert.equal(enqueued.length, 0);
+  assert.equal(after.status, "active");
+  assert.equal(after.history[0].status, "missed");
+  assert.equal(after.history[0].code, "CLIENT_NOT_READY");
+  // Missed runs are skipped over, not replayed.
+  assert.equal(after.nextRunAt, "2030-01-15T12:40:00.000Z");
+});
+
+test("keeps a cancel made while the run was being queued", async (t) => {
+  const { id } = await schedule({ recurrence: "*/10 * * * *" });
+  queue.enqueue.mock.mockImplementation(async () => {
+    await scheduler.cancel(id);
+    return { id: "job-1" };
+  });
+  t.mock.timers.tick(11 * MINUTE);
+
+  await scheduler.tick();
+
+  const after = await scheduler.get(id);
+  assert.equal(after.status, "cancelled");
+  assert.equal(after.nextRunAt, null);
+  assert.equal(after.history[0].status, "queued");
+});
+
+test("changes only the content of a one-shot that is already due", async (t) => {
+  ready = false;
+  const { id, nextRunAt } = await schedule({ sendAt: "2030-01-15T06:01" });
+  t.mock.timers.tick(2 * MINUTE);
+
+  const updated = await scheduler.reschedule(id, { message: "Hola de nuevo" });
+  assert.equal(updated.message, "Hola de nuevo");
+  assert.equal(updated.nextRunAt, nextRunAt);
+
+  await assert.rejects(
+    scheduler.reschedule(id, { sendAt: "2030-01-15T06:00" }),
+    (err) => err.params?.reason === "IN_PAST"
+  );
+});
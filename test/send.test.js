@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { deliver } = require("../send");
+
+function fakeClient({ lookup, send }) {
+  return {
+    getNumberId: async (number) => {
+      if (lookup) throw lookup;
+      return { _serialized: `${number}@c.us` };
+    },
+    sendMessage: async (chatId) => {
+      if (send) throw send;
+      return { id: { _serialized: `true_${chatId}_ABC` }, ack: 1 };
+    },
+  };
+}
+
+test("returns the message id and the chat it went to", async () => {
+  const result = await deliver(fakeClient({}), "528117858904", {
+    message: "Hola",
+  });
+  assert.deepEqual(result, {
+    messageId: "true_528117858904@c.us_ABC",
+    to: "528117858904@c.us",
+    ack: 1,
+  });
+});
+
+test("uses an already resolved chat id without a lookup", async () => {
+  const client = fakeClient({ lookup: new Error("should not look up") });
+  const result = await deliver(
+    client,
+    "528117858904",
+    { message: "Hola" },
+    "5218117858904@c.us"
+  );
+  assert.equal(result.to, "5218117858904@c.us");
+});
+
+test("marks failures of the send itself, not of the lookup", async () => {
+  const lost = () => new Error("Protocol error: Session closed");
+
+  const duringLookup = await deliver(
+    fakeClient({ lookup: lost() }),
+    "528117858904",
+    {
+      message: "Hola",
+    }
+  ).catch((err) => err);
+  assert.equal(duringLookup.sendStarted, undefined);
+
+  const duringSend = await deliver(
+    fakeClient({ send: lost() }),
+    "528117858904",
+    {
+      message: "Hola",
+    }
+  ).catch((err) => err);
+  assert.equal(duringSend.sendStarted, true);
+});
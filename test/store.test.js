@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJsonStore } = require("../store");
+
+function tempFile(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-test-"));
+  return path.join(dir, name);
+}
+
+test("starts from a copy of the defaults when the file is missing", async () => {
+  const defaults = { jobs: [] };
+  const data = await createJsonStore(tempFile("a.json"), defaults).load();
+  assert.deepEqual(data, { jobs: [] });
+  data.jobs.push(1);
+  assert.deepEqual(defaults, { jobs: [] });
+});
+
+test("gives concurrent loads the same document", async () => {
+  const file = tempFile("b.json");
+  fs.writeFileSync(file, JSON.stringify({ jobs: [1] }));
+  const store = createJsonStore(file, { jobs: [] });
+
+  const [first, second] = await Promise.all([store.load(), store.load()]);
+  assert.equal(first, second);
+
+  second.jobs.push(2);
+  await store.save();
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), {
+    jobs: [1, 2],
+  });
+});
+
+test("saves are read back by a new store", async () => {
+  const file = tempFile("c.json");
+  const store = createJsonStore(file, { keys: [] });
+  (await store.load()).keys.push({ id: "k1" });
+  await store.save();
+
+  const reloaded = await createJsonStore(file, { keys: [] }).load();
+  assert.deepEqual(reloaded, { keys: [{ id: "k1" }] });
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
+
+test("moves a corrupt file aside instead of overwriting it", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const file = tempFile("d.json");
+  fs.writeFileSync(file, '{"jobs": [');
+  const store = createJsonStore(file, { jobs: [] });
+
+  assert.deepEqual(await store.load(), { jobs: [] });
+  await store.save();
+
+  const aside = fs
+    .readdirSync(path.dirname(file))
+    .filter((f) => f.startsWith("d.json.corrupt-"));
+  assert.equal(aside.length, 1);
+  assert.equal(
+    fs.readFileSync(path.join(path.dirname(file), aside[0]), "utf8"),
+    '{"jobs": ['
+  );
+});
+
+test("fails the load on read errors other than a missing file", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-test-"));
+  // Reading a directory fails with EISDIR.
+  const store = createJsonStore(dir, { jobs: [] });
+  await assert.rejects(store.load(), { code: "EISDIR" });
+});
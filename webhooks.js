@@ -0,0 +1,398 @@
+const crypto = require("crypto");
+const path = require("path");
+const whatsapp = require("./whatsapp");
+const receipts = require("./receipts");
+const optOuts = require("./optouts");
+const autoReplies = require("./autoreplies");
+const outbound = require("./outbound");
+const { createJsonStore } = require("./store");
+const { apiError } = require("./errors");
+
+const EVENTS = [
+  "qr",
+  "pairing_code",
+  "authenticated",
+  "auth_failure",
+  "ready",
+  "disconnected",
+  "change_state",
+  "message",
+  "message_ack",
+  "opted_out",
+  "auto_reply",
+];
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 10 * 1000;
+const RETRY_MAX_DELAY = 30 * 60 * 1000;
+const REQUEST_TIMEOUT = 10 * 1000;
+const DISPATCH_INTERVAL = 5000;
+const MAX_LOG_ENTRIES = 500;
+// A delivery still pending after this long (e.g. the server was down for
+// a day) is failed instead of sending a stale event.
+const MAX_PENDING_AGE = 24 * 60 * 60 * 1000;
+
+const subscriptionStore = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "webhooks.json"),
+  { subscriptions: [] }
+);
+
+const deliveryStore = createJsonStore(
+  path.join(whatsapp.SESSION_DATA_PATH, "webhook-deliveries.json"),
+  { deliveries: [] }
+);
+
+let dispatchTimer = null;
+let dispatching = false;
+
+function toView(subscription) {
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    events: subscription.events,
+    sessionId: subscription.sessionId,
+    active: subscription.active,
+    createdAt: subscription.createdAt,
+    updatedAt: subscription.updatedAt,
+  };
+}
+
+async function validate({ url, events, sessionId }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw apiError("INVALID_WEBHOOK", { reason: "URL" });
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw apiError("INVALID_WEBHOOK", { reason: "URL" });
+  }
+  try {
+    await outbound.assertPublic(parsed);
+  } catch (err) {
+    if (outbound.isPrivateAddressError(err)) {
+      throw apiError("INVALID_WEBHOOK", { reason: "PRIVATE_URL" });
+    }
+    throw apiError("INVALID_WEBHOOK", { reason: "HOST", detail: err.message });
+  }
+
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some((e) => e !== "*" && !EVENTS.includes(e))
+  ) {
+    throw apiError("INVALID_WEBHOOK", { reason: "EVENTS", events: EVENTS });
+  }
+
+  if (sessionId && typeof sessionId !== "string") {
+    throw apiError("INVALID_WEBHOOK", { reason: "SESSION_ID" });
+  }
+}
+
+function sign(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+function retryDelay(attempts) {
+  return Math.min(
+    RETRY_BASE_DELAY * Math.pow(2, attempts - 1),
+    RETRY_MAX_DELAY
+  );
+}
+
+async function attempt(delivery, subscription) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  delivery.attempts++;
+  try {
+    // Checked again on every attempt: the host may resolve elsewhere now.
+    const response = await outbound.fetchPublic(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": delivery.payload.id,
+        "X-Webhook-Event": delivery.payload.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${sign(subscription.secret, timestamp, body)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+
+    await response.body?.cancel();
+    delivery.lastStatusCode = response.status;
+    delivery.lastError = response.ok ? null : `HTTP ${response.status}`;
+    if (response.ok) delivery.status = "delivered";
+  } catch (err) {
+    delivery.lastStatusCode = null;
+    delivery.lastError = err.message;
+  }
+
+  if (delivery.status !== "delivered") {
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = "failed";
+      console.error(
+        `Webhook ${delivery.payload.event} to ${subscription.url} failed after ${delivery.attempts} attempts: ${delivery.lastError}`
+      );
+    } else {
+      delivery.nextAttemptAt = Date.now() + retryDelay(delivery.attempts);
+    }
+  }
+  delivery.updatedAt = new Date().toISOString();
+}
+
+async function dispatch() {
+  if (dispatching) return;
+  dispatching = true;
+
+  try {
+    const { subscriptions } = await subscriptionStore.load();
+    const data = await deliveryStore.load();
+    const now = Date.now();
+
+    const expired = data.deliveries.filter(
+      (d) =>
+        d.status === "pending" &&
+        now - Date.parse(d.createdAt) > MAX_PENDING_AGE
+    );
+    for (const delivery of expired) {
+      delivery.status = "failed";
+      delivery.lastError = "Expired before it could be delivered";
+      delivery.updatedAt = new Date().toISOString();
+    }
+
+    const due = data.deliveries.filter(
+      (d) => d.status === "pending" && d.nextAttemptAt <= now
+    );
+
+    if (due.length === 0) {
+      if (expired.length > 0) await deliveryStore.save();
+      return;
+    }
+
+    await Promise.all(
+      due.map(async (delivery) => {
+        const subscription = subscriptions.find(
+          (s) => s.id === delivery.subscriptionId
+        );
+        if (!subscription || !subscription.active) {
+          delivery.status = "failed";
+          delivery.lastError = "Subscription removed or disabled";
+          delivery.updatedAt = new Date().toISOString();
+          return;
+        }
+        await attempt(delivery, subscription);
+      })
+    );
+
+    await deliveryStore.save();
+  } catch (err) {
+    console.error("Error dispatching webhooks:", err.message);
+  } finally {
+    dispatching = false;
+  }
+}
+
+// Queues a delivery for every active subscription interested in the event.
+async function publish(event, sessionId, data) {
+  const { subscriptions } = await subscriptionStore.load();
+  const targets = subscriptions.filter(
+    (s) =>
+      s.active &&
+      (s.events.includes("*") || s.events.includes(event)) &&
+      (!s.sessionId || s.sessionId === sessionId)
+  );
+  if (targets.length === 0) return;
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    sessionId,
+    timestamp: new Date().toISOString(),
+    data,
+  };
+
+  const log = await deliveryStore.load();
+  const now = new Date().toISOString();
+  for (const subscription of targets) {
+    log.deliveries.push({
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      status: "pending",
+      attempts: 0,
+      lastStatusCode: null,
+      lastError: null,
+      nextAttemptAt: Date.now(),
+      createdAt: now,
+      updatedAt: now,
+      payload,
+    });
+  }
+
+  // The delivery log doubles as the retry queue, so settled entries are
+  // trimmed first. Only when a subscriber has been down long enough to
+  // fill the log on its own are its oldest pending deliveries dropped.
+  let excess = log.deliveries.length - MAX_LOG_ENTRIES;
+  if (excess > 0) {
+    const settled = log.deliveries.filter((d) => d.status !== "pending");
+    const drop = new Set(settled.slice(0, excess));
+    excess -= drop.size;
+    if (excess > 0) {
+      const pending = log.deliveries.filter((d) => d.status === "pending");
+      pending.slice(0, excess).forEach((d) => drop.add(d));
+      console.warn(
+        `Webhook delivery log full: dropped ${excess} pending delivery(ies)`
+      );
+    }
+    log.deliveries = log.deliveries.filter((d) => !drop.has(d));
+  }
+
+  await deliveryStore.save();
+  dispatch();
+}
+
+function forward(event, toData) {
+  whatsapp.events.on(event, (sessionId, ...args) => {
+    publish(event, sessionId, toData(...args)).catch((err) => {
+      console.error(`Error publishing ${event} webhook:`, err.message);
+    });
+  });
+}
+
+async function start() {
+  const { subscriptions } = await subscriptionStore.load();
+  await deliveryStore.load();
+
+  forward("qr", (qr) => ({ qr }));
+  forward("pairing_code", (code, phoneNumber) => ({ code, phoneNumber }));
+  forward("authenticated", () => ({}));
+  forward("auth_failure", (message) => ({ message }));
+  forward("ready", () => ({}));
+  forward("disconnected", (reason) => ({ reason }));
+  forward("change_state", (state) => ({ state }));
+  forward("message", (msg) => whatsapp.serializeMessage(msg));
+  forward("message_ack", (msg, ack) => ({
+    messageId: msg.id._serialized,
+    chatId: msg.to,
+    ack,
+    status: receipts.ackStatus(ack),
+  }));
+  optOuts.events.on("opted_out", (entry) => {
+    publish("opted_out", entry.sessionId, entry).catch((err) => {
+      console.error("Error publishing opted_out webhook:", err.message);
+    });
+  });
+  autoReplies.events.on("auto_reply", (data) => {
+    publish("auto_reply", data.sessionId, data).catch((err) => {
+      console.error("Error publishing auto_reply webhook:", err.message);
+    });
+  });
+
+  dispatchTimer = setInterval(dispatch, DISPATCH_INTERVAL);
+  console.log(`✓ Webhooks loaded (${subscriptions.length} subscription(s))`);
+}
+
+function stop() {
+  if (dispatchTimer) clearInterval(dispatchTimer);
+  dispatchTimer = null;
+}
+
+async function list() {
+  const { subscriptions } = await subscriptionStore.load();
+  return subscriptions.map(toView);
+}
+
+async function create({ url, events, sessionId, secret }) {
+  await validate({ url, events, sessionId });
+  if (
+    secret !== undefined &&
+    secret !== null &&
+    (typeof secret !== "string" || secret.trim() === "")
+  ) {
+    throw apiError("INVALID_WEBHOOK", { reason: "SECRET" });
+  }
+
+  const data = await subscriptionStore.load();
+  const now = new Date().toISOString();
+  const subscription = {
+    id: crypto.randomUUID(),
+    url,
+    events,
+    sessionId: sessionId || null,
+    secret: secret || crypto.randomBytes(32).toString("hex"),
+    active: true,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  data.subscriptions.push(subscription);
+  await subscriptionStore.save();
+
+  // The secret is only ever returned here, at creation time.
+  return { ...toView(subscription), secret: subscription.secret };
+}
+
+async function update(id, changes) {
+  const data = await subscriptionStore.load();
+  const subscription = data.subscriptions.find((s) => s.id === id);
+  if (!subscription) throw apiError("WEBHOOK_NOT_FOUND");
+
+  const next = {
+    url: changes.url ?? subscription.url,
+    events: changes.events ?? subscription.events,
+    sessionId:
+      changes.sessionId !== undefined
+        ? changes.sessionId
+        : subscription.sessionId,
+  };
+  await validate(next);
+
+  Object.assign(subscription, next, {
+    sessionId: next.sessionId || null,
+    active:
+      changes.active !== undefined
+        ? Boolean(changes.active)
+        : subscription.active,
+    updatedAt: new Date().toISOString(),
+  });
+  await subscriptionStore.save();
+  return toView(subscription);
+}
+
+async function remove(id) {
+  const data = await subscriptionStore.load();
+  const index = data.subscriptions.findIndex((s) => s.id === id);
+  if (index === -1) throw apiError("WEBHOOK_NOT_FOUND");
+
+  data.subscriptions.splice(index, 1);
+  await subscriptionStore.save();
+}
+
+async function listDeliveries({ subscriptionId, status, limit = 50 }) {
+  const data = await deliveryStore.load();
+  return data.deliveries
+    .filter(
+      (d) =>
+        (!subscriptionId || d.subscriptionId === subscriptionId) &&
+        (!status || d.status === status)
+    )
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  EVENTS,
+  start,
+  stop,
+  publish,
+  list,
+  create,
+  update,
+  remove,
+  listDeliveries,
+};
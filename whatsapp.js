@@ -1,18 +1,19 @@
-const { Client, LocalAuth } = require("whatsapp-web.js");
+const { Client } = require("whatsapp-web.js");
 const qrcode = require("qrcode");
-const { execSync } = require("child_process");
+const { EventEmitter } = require("events");
 const fs = require("fs").promises;
 const path = require("path");
+const storage = require("./storage");
+const chromium = require("./chromium");
+const { createMachine, circuitDelay, forget } = require("./connection");
+const snapshots = require("./snapshots");
+const { apiError } = require("./errors");
+const { settings } = require("./config");
 
-const SESSION_DATA_PATH =
-  process.env.RAILWAY_VOLUME_MOUNT_PATH ||
-  process.env.WWEBJS_DATA_PATH ||
-  path.join(process.cwd(), ".wwebjs_auth");
-
-const CLIENT_ID = "dan-clean-wa";
+const { SESSION_DATA_PATH } = storage;
 
 const CHROME_PATH =
-  process.env.PUPPETEER_EXECUTABLE_PATH ||
+  settings.chromePath ||
   (() => {
     try {
       return require("puppeteer").executablePath();
@@ -21,47 +22,32 @@ const CHROME_PATH =
     }
   })();
 
-const PUPPETEER_ARGS = [
-  "--no-sandbox",
-  "--disable-setuid-sandbox",
-  "--disable-dev-shm-usage",
-  "--disable-accelerated-2d-canvas",
-  "--no-first-run",
-  "--disable-gpu",
-  "--disable-software-rasterizer",
-  "--disable-extensions",
-  "--disable-background-networking",
-  "--disable-default-apps",
-  "--disable-sync",
-  "--disable-translate",
-  "--metrics-recording-only",
-  "--mute-audio",
-  "--no-default-browser-check",
-  "--disable-hang-monitor",
-  "--disable-prompt-on-repost",
-  "--disable-client-side-phishing-detection",
-  "--disable-component-update",
-  "--disable-domain-reliability",
-  "--disable-renderer-backgrounding",
-  "--disable-backgrounding-occluded-windows",
-  "--disable-ipc-flooding-protection",
-  "--disable-breakpad",
-  "--disable-features=TranslateUI,BlinkGenPropertyTrees,AudioServiceOutOfProcess",
-];
-
-let client = null;
-let qrCodeData = null;
-let clientReady = false;
-let isReconnecting = false;
-let initAttempts = 0;
-let reconnectTimer = null;
-let healthInterval = null;
-let consecutiveHealthFailures = 0;
-let sessionWipedThisCycle = false;
-
-const MAX_INIT_ATTEMPTS = 3;
-const HEALTH_CHECK_INTERVAL = 5 * 60 * 1000;
-const HEALTH_FAILURE_THRESHOLD = 3;
+const PUPPETEER_ARGS = settings.puppeteerArgs;
+const PUPPETEER_TIMEOUT = settings.puppeteerTimeoutMs;
+const MAX_INIT_ATTEMPTS = settings.maxInitAttempts;
+const HEALTH_CHECK_INTERVAL = settings.healthCheckIntervalMs;
+const HEALTH_FAILURE_THRESHOLD = settings.healthFailureThreshold;
+const RECONNECT_DELAY = settings.reconnectDelayMs;
+const PAIRING_CODE_TIMEOUT = settings.pairingCodeTimeoutMs;
+const BROWSER_CHECK_INTERVAL = settings.browserCheckIntervalMs;
+const BROWSER_MAX_MEMORY = settings.browserMaxMemoryMb * 1024 * 1024;
+const BROWSER_RESPONSE_TIMEOUT = settings.browserResponseTimeoutMs;
+const BROWSER_UNRESPONSIVE_THRESHOLD = settings.browserUnresponsiveThreshold;
+// WhatsApp issues a new pairing code every 3 minutes until one is used.
+const PAIRING_CODE_INTERVAL = 3 * 60 * 1000;
+// A profile snapshotted right at "ready" may miss the initial sync.
+const READY_SNAPSHOT_DELAY = 60 * 1000;
+
+// Client events from every session, tagged with the session id, for
+// modules that need to react to them (e.g. the outbound queue drains on
+// "ready", receipts follow "message_ack", webhooks forward all of them).
+// "init_attempt", "init_failed", "reconnecting" and "session_wiped" are
+// internal lifecycle events, counted by metrics and not forwarded.
+// "qr_code" carries the QR as a data URL and "loading_screen" the sync
+// progress, both for the live event stream. "pairing_code" is the phone
+// number linking counterpart of "qr". "state" carries each connection
+// state transition (see connection.js).
+const events = new EventEmitter();
 
 const TERMINAL_STATES = new Set([
   "UNPAIRED",
@@ -71,19 +57,21 @@ const TERMINAL_STATES = new Set([
   "SMB_TOS_BLOCK",
 ]);
 
-function killZombieChrome() {
-  if (process.platform === "win32") return;
-  try {
-    execSync(
-      "pgrep -f '(chromium|chrome) ' | xargs -r kill -9 2>/dev/null || true",
-      { stdio: "ignore", timeout: 5000 }
+async function prepareDataPath() {
+  console.log(`✓ Session data path: ${SESSION_DATA_PATH}`);
+  console.log(`✓ Session store: ${storage.describe()}`);
+  if (
+    !process.env.RAILWAY_VOLUME_MOUNT_PATH &&
+    process.env.RAILWAY_ENVIRONMENT &&
+    !storage.isRemote()
+  ) {
+    console.warn(
+      "⚠ Running on Railway WITHOUT a persistent volume mounted. " +
+        "Sessions will NOT survive deploys/restarts. " +
+        "Mount a volume at /app/.wwebjs_auth or set SESSION_STORE to fix this."
     );
-  } catch {
-    // No matching processes or command not available
   }
-}
 
-async function ensureSessionDir() {
   try {
     await fs.mkdir(SESSION_DATA_PATH, { recursive: true });
   } catch (err) {
@@ -94,324 +82,725 @@ async function ensureSessionDir() {
   }
 }
 
-// Chromium writes SingletonLock/Cookie/Socket files into the user-data-dir
-// containing the host PID + hostname. On a containerized redeploy the
-// hostname changes, so Chromium refuses to reuse the profile. Since this
-// service only ever runs one Chromium against this volume, it is safe to
-// clear stale locks at startup.
-async function cleanupSessionLocks() {
-  const sessionDir = path.join(SESSION_DATA_PATH, `session-${CLIENT_ID}`);
-  const lockFiles = ["SingletonLock", "SingletonCookie", "SingletonSocket"];
-  let removed = 0;
-
-  await Promise.all(
-    lockFiles.map(async (file) => {
-      try {
-        await fs.unlink(path.join(sessionDir, file));
-        removed++;
-      } catch (err) {
-        if (err.code !== "ENOENT") {
-          console.warn(`Could not remove ${file}: ${err.message}`);
+// The sender of an incoming message as international digits with a "+",
+// for phone.normalize. Newer accounts write from a LID ("…@lid") that is
+// not a phone number, so those are looked up through the contact. Null
+// when WhatsApp does not share the number.
+async function senderNumber(msg) {
+  if (msg.from.endsWith("@c.us")) return `+${msg.from.slice(0, -5)}`;
+  const contact = await msg.getContact();
+  return contact && contact.number ? `+${contact.number}` : null;
+}
+
+// Plain JSON view of a whatsapp-web.js Message for storage and webhooks.
+function serializeMessage(msg) {
+  return {
+    id: msg.id._serialized,
+    chatId: msg.fromMe ? msg.to : msg.from,
+    from: msg.from,
+    to: msg.to,
+    author: msg.author || null,
+    fromMe: msg.fromMe,
+    type: msg.type,
+    body: msg.body,
+    timestamp: new Date(msg.timestamp * 1000).toISOString(),
+    senderName: msg._data.notifyName || null,
+    hasMedia: msg.hasMedia,
+    media: msg.hasMedia
+      ? {
+          mimetype: msg._data.mimetype || null,
+          filename: msg._data.filename || null,
+          size: msg._data.size || null,
         }
-      }
-    })
-  );
+      : null,
+    hasQuotedMsg: msg.hasQuotedMsg,
+  };
+}
 
-  if (removed > 0) {
-    console.log(`Cleared ${removed} stale Chromium lock file(s)`);
-  }
+// What has been tried since the session was last ready: start attempts in
+// the current series, backups restored (remote stores), whether the
+// profile was wiped, and how many times the circuit breaker opened.
+function newRecovery() {
+  return { attempts: 0, backupsTried: 0, wiped: false, opens: 0 };
 }
 
-function createClient() {
-  const newClient = new Client({
-    authStrategy: new LocalAuth({
-      clientId: CLIENT_ID,
-      dataPath: SESSION_DATA_PATH,
-    }),
-    puppeteer: {
-      headless: true,
-      executablePath: CHROME_PATH,
-      args: PUPPETEER_ARGS,
-      timeout: 180000,
-    },
+function createSession(sessionId) {
+  const profileDir = storage.profileDir(sessionId);
+  const log = (...args) => console.log(`[${sessionId}]`, ...args);
+  const logError = (...args) => console.error(`[${sessionId}]`, ...args);
+
+  let client = null;
+  let qrCodeData = null;
+  let reconnectTimer = null;
+  let healthInterval = null;
+  let consecutiveHealthFailures = 0;
+  let browserInterval = null;
+  let checkingBrowser = false;
+  let unresponsiveChecks = 0;
+  let qrPendingSince = null;
+  // Set while the session links by phone number instead of QR:
+  // { phoneNumber, code, codeAt }.
+  let pairing = null;
+  let retryTimer = null;
+  // When retryTimer will start the client again.
+  let nextAttemptAt = null;
+  let snapshotTimer = null;
+  let initGeneration = 0;
+  let recovery = newRecovery();
+  let stopped = false;
+
+  const connection = createMachine(sessionId, {
+    onTransition: (transition) => events.emit("state", sessionId, transition),
   });
+  const isReady = () => connection.is("ready");
+  // A reconnect or unlink is under way; another one is refused.
+  const isBusy = () => connection.is("reconnecting", "unlinking");
+  // Client events only move the state while the client is not being
+  // replaced: after a logout from the phone, for instance, the old client
+  // still shows a QR until the reconnect closes it.
+  const follow = (state, reason, details) => {
+    if (!isBusy()) connection.to(state, reason, details);
+  };
+
+  const browser = chromium.createSupervisor(sessionId, {
+    profileDir,
+    getClient: () => client,
+  });
+
+  // Closes the client and kills whatever is left of its Chromium. The
+  // process tree is read first, while the browser still holds it together.
+  async function destroyClient() {
+    if (client) {
+      await browser.sample().catch(() => {});
+      try {
+        await client.destroy();
+      } catch {
+        // May still be starting or already dead
+      }
+      client = null;
+    }
+    await browser.kill();
+  }
 
-  newClient.on("qr", async (qr) => {
-    console.log("QR Code received");
+  // Chromium writes SingletonLock/Cookie/Socket files into the user-data-dir
+  // containing the host PID + hostname. On a containerized redeploy the
+  // hostname changes, so Chromium refuses to reuse the profile. Since this
+  // service only ever runs one Chromium per profile, it is safe to clear
+  // stale locks at startup.
+  async function cleanupSessionLocks() {
+    const lockFiles = ["SingletonLock", "SingletonCookie", "SingletonSocket"];
+    let removed = 0;
+
+    await Promise.all(
+      lockFiles.map(async (file) => {
+        try {
+          await fs.unlink(path.join(profileDir, file));
+          removed++;
+        } catch (err) {
+          if (err.code !== "ENOENT") {
+            console.warn(
+              `[${sessionId}] Could not remove ${file}: ${err.message}`
+            );
+          }
+        }
+      })
+    );
+
+    if (removed > 0) {
+      log(`Cleared ${removed} stale Chromium lock file(s)`);
+    }
+  }
+
+  async function snapshotProfile(reason) {
     try {
-      qrCodeData = await qrcode.toDataURL(qr);
+      await snapshots.create(sessionId, reason);
+      log(`✓ Session snapshot taken (${reason})`);
     } catch (err) {
-      console.error("Error generating QR code:", err.message);
+      if (err.code !== "SNAPSHOT_NO_PROFILE") {
+        logError(`Session snapshot (${reason}) failed:`, err.message);
+      }
     }
-  });
+  }
 
-  newClient.on("ready", () => {
-    console.log("✓ WhatsApp client is ready!");
-    clientReady = true;
-    isReconnecting = false;
-    qrCodeData = null;
-    initAttempts = 0;
-    consecutiveHealthFailures = 0;
-    sessionWipedThisCycle = false;
-  });
+  function createClient() {
+    const newClient = new Client({
+      authStrategy: storage.createAuthStrategy(sessionId),
+      pairWithPhoneNumber: pairing
+        ? {
+            phoneNumber: pairing.phoneNumber,
+            intervalMs: PAIRING_CODE_INTERVAL,
+          }
+        : undefined,
+      puppeteer: {
+        headless: true,
+        executablePath: CHROME_PATH,
+        args: PUPPETEER_ARGS,
+        timeout: PUPPETEER_TIMEOUT,
+      },
+    });
 
-  newClient.on("authenticated", () => {
-    console.log("✓ Client authenticated (session saved locally)");
-  });
+    newClient.on("qr", async (qr) => {
+      log("QR Code received");
+      if (!qrPendingSince) qrPendingSince = Date.now();
+      follow("qr_pending", "qr_received");
+      events.emit("qr", sessionId, qr);
+      try {
+        qrCodeData = await qrcode.toDataURL(qr);
+        events.emit("qr_code", sessionId, qrCodeData);
+      } catch (err) {
+        logError("Error generating QR code:", err.message);
+      }
+    });
 
-  newClient.on("auth_failure", (msg) => {
-    console.error("✗ Authentication failure:", msg);
-    clientReady = false;
-    isReconnecting = false;
-    qrCodeData = null;
-  });
+    newClient.on("code", (code) => {
+      if (!pairing) return;
+      log("Pairing code received");
+      if (!qrPendingSince) qrPendingSince = Date.now();
+      pairing.code = code;
+      pairing.codeAt = Date.now();
+      follow("pairing_code_pending", "pairing_code_received");
+      events.emit("pairing_code", sessionId, code, pairing.phoneNumber);
+    });
 
-  newClient.on("disconnected", (reason) => {
-    console.log("Client disconnected:", reason);
-    clientReady = false;
-    qrCodeData = null;
-    scheduleReconnect();
-  });
+    newClient.on("ready", () => {
+      log("✓ WhatsApp client is ready!");
+      qrCodeData = null;
+      qrPendingSince = null;
+      pairing = null;
+      recovery = newRecovery();
+      consecutiveHealthFailures = 0;
+      unresponsiveChecks = 0;
+      follow("ready", "ready");
+      clearTimeout(snapshotTimer);
+      snapshotTimer = setTimeout(() => {
+        snapshotTimer = null;
+        if (isReady()) snapshotProfile("ready");
+      }, READY_SNAPSHOT_DELAY);
+      events.emit("ready", sessionId);
+    });
 
-  newClient.on("loading_screen", (percent, message) => {
-    console.log(`Loading: ${percent}% - ${message}`);
-  });
+    newClient.on("authenticated", () => {
+      log("✓ Client authenticated (session saved locally)");
+      follow("authenticated", "authenticated");
+      events.emit("authenticated", sessionId);
+    });
 
-  newClient.on("change_state", (state) => {
-    console.log("Connection state:", state);
-    if (TERMINAL_STATES.has(state) && clientReady) {
-      console.log(`Terminal state detected: ${state}, reconnecting...`);
-      clientReady = false;
-      scheduleReconnect();
-    }
-  });
+    // Only emitted for the first backup of a newly linked session.
+    newClient.on("remote_session_saved", () => {
+      log("✓ Session backed up");
+    });
 
-  return newClient;
-}
+    newClient.on("auth_failure", (msg) => {
+      logError("✗ Authentication failure:", msg);
+      qrCodeData = null;
+      follow("auth_failed", "auth_failure", { detail: msg });
+      events.emit("auth_failure", sessionId, msg);
+    });
 
-async function wipeSessionData() {
-  try {
-    await fs.rm(SESSION_DATA_PATH, { recursive: true, force: true });
-    await fs.mkdir(SESSION_DATA_PATH, { recursive: true });
-  } catch (err) {
-    console.error(`Failed to wipe session data: ${err.message}`);
-  }
-}
+    newClient.on("disconnected", (reason) => {
+      log("Client disconnected:", reason);
+      qrCodeData = null;
+      qrPendingSince = null;
+      events.emit("disconnected", sessionId, reason);
+      scheduleReconnect("disconnected", { detail: reason });
+    });
 
-async function initializeClient() {
-  isReconnecting = false;
-  killZombieChrome();
-  await cleanupSessionLocks();
-  await new Promise((r) => setTimeout(r, 1000));
+    newClient.on("message", (msg) => {
+      events.emit("message", sessionId, msg);
+    });
 
-  try {
-    client = createClient();
-    await client.initialize();
-  } catch (err) {
-    initAttempts++;
-    console.error(
-      `Error initializing (attempt ${initAttempts}/${MAX_INIT_ATTEMPTS}):`,
-      err.message
-    );
+    newClient.on("message_create", (msg) => {
+      events.emit("message_create", sessionId, msg);
+    });
 
-    if (client) {
-      try {
-        await client.destroy();
-      } catch {
-        // Already broken
+    newClient.on("message_ack", (msg, ack) => {
+      events.emit("message_ack", sessionId, msg, ack);
+    });
+
+    newClient.on("loading_screen", (percent, message) => {
+      log(`Loading: ${percent}% - ${message}`);
+      events.emit("loading_screen", sessionId, percent, message);
+    });
+
+    newClient.on("change_state", (state) => {
+      log("Connection state:", state);
+      events.emit("change_state", sessionId, state);
+      if (TERMINAL_STATES.has(state) && isReady()) {
+        log(`Terminal state detected: ${state}, reconnecting...`);
+        scheduleReconnect("terminal_state", { detail: state });
       }
-      client = null;
+    });
+
+    return newClient;
+  }
+
+  // Backups go too; otherwise the next start would restore the same
+  // broken profile. A snapshot is kept in case the wipe was premature.
+  async function wipeSessionData() {
+    events.emit("session_wiped", sessionId);
+    await snapshotProfile("wipe");
+    try {
+      await fs.rm(profileDir, { recursive: true, force: true });
+    } catch (err) {
+      logError(`Failed to wipe session data: ${err.message}`);
     }
-    killZombieChrome();
-
-    if (initAttempts < MAX_INIT_ATTEMPTS) {
-      const delay = 5000 * Math.pow(2, initAttempts - 1);
-      console.log(`Retrying in ${delay / 1000}s...`);
-      setTimeout(initializeClient, delay);
-    } else if (!sessionWipedThisCycle) {
-      console.error(
-        "✗ All init attempts failed. Session profile is likely corrupted " +
-          "(common after ungraceful container shutdown). Wiping session " +
-          "and retrying with a fresh slate. A new QR scan will be required."
-      );
-      sessionWipedThisCycle = true;
-      initAttempts = 0;
-      await wipeSessionData();
-      setTimeout(initializeClient, 2000);
-    } else {
-      console.error(
-        "✗ Init failed even after wiping session. Giving up. " +
-          "Manual intervention required (POST /logout or redeploy)."
+    await storage.deleteBackups(sessionId);
+  }
+
+  // `reason` is recorded with the transition to "starting".
+  async function initializeClient(reason) {
+    if (stopped) return;
+    // Taken before the clean-up below, so a restart or shutdown while it
+    // runs is noticed before a second Chromium opens the same profile.
+    const generation = ++initGeneration;
+    connection.to(
+      "starting",
+      reason,
+      recovery.opens > 0 ? { circuit: "half_open" } : {}
+    );
+    // Leftovers of the previous client, or of a server that crashed.
+    await browser.kill();
+    await cleanupSessionLocks();
+    await new Promise((r) => setTimeout(r, 1000));
+    if (stopped || generation !== initGeneration) return;
+
+    events.emit("init_attempt", sessionId);
+    try {
+      client = createClient();
+      await client.initialize();
+    } catch (err) {
+      // A restart (see restartClient) already replaced this client.
+      if (generation !== initGeneration) return;
+
+      recovery.attempts++;
+      events.emit("init_failed", sessionId, err);
+      logError(
+        `Error initializing (attempt ${recovery.attempts}/${MAX_INIT_ATTEMPTS}):`,
+        err.message
       );
-      initAttempts = 0;
-      sessionWipedThisCycle = false;
+
+      await destroyClient();
+
+      if (stopped) return;
+
+      const failure = { error: err.message, attempt: recovery.attempts };
+      if (recovery.opens > 0) {
+        // Half-open: a single attempt, then back to waiting, longer.
+        openCircuit(failure);
+      } else if (recovery.attempts < MAX_INIT_ATTEMPTS) {
+        const delay = 5000 * Math.pow(2, recovery.attempts - 1);
+        log(`Retrying in ${delay / 1000}s...`);
+        retryInit(delay, "init_failed", failure);
+      } else if (
+        await storage.restoreBackup(sessionId, recovery.backupsTried)
+      ) {
+        recovery.backupsTried++;
+        logError(
+          `✗ All init attempts failed. Restoring session backup ` +
+            `${recovery.backupsTried} (newest first) and retrying.`
+        );
+        recovery.attempts = 0;
+        retryInit(2000, "backup_restored", {
+          ...failure,
+          backup: recovery.backupsTried,
+        });
+      } else if (!recovery.wiped) {
+        logError(
+          "✗ All init attempts failed. Session profile is likely corrupted " +
+            "(common after ungraceful container shutdown). Wiping session " +
+            "and retrying with a fresh slate. A new QR scan will be required."
+        );
+        recovery.wiped = true;
+        recovery.attempts = 0;
+        recovery.backupsTried = 0;
+        await wipeSessionData();
+        retryInit(2000, "session_wiped", failure);
+      } else {
+        openCircuit(failure);
+      }
     }
   }
-}
 
-function scheduleReconnect() {
-  if (isReconnecting || reconnectTimer) return;
+  function startAfter(delay, reason) {
+    nextAttemptAt = Date.now() + delay;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      nextAttemptAt = null;
+      initializeClient(reason);
+    }, delay);
+  }
 
-  isReconnecting = true;
-  consecutiveHealthFailures = 0;
-  console.log("Scheduling reconnect in 10s...");
+  function cancelRetry() {
+    if (retryTimer) clearTimeout(retryTimer);
+    retryTimer = null;
+    nextAttemptAt = null;
+  }
 
-  reconnectTimer = setTimeout(async () => {
-    reconnectTimer = null;
-    initAttempts = 0;
+  function retryInit(delay, reason, details = {}) {
+    connection.to("retry_wait", reason, { ...details, retryInMs: delay });
+    startAfter(delay, "retry");
+  }
 
-    if (client) {
-      try {
-        await client.destroy();
-      } catch {
-        // Old client may already be dead
-      }
-      client = null;
+  // When even a wiped profile does not start (e.g. Chromium itself is
+  // broken), keeps trying with growing delays instead of giving up, until
+  // an attempt succeeds or someone steps in (/reconnect, /logout or a
+  // snapshot restore).
+  function openCircuit(failure) {
+    recovery.opens++;
+    recovery.attempts = 0;
+    const delay = circuitDelay(recovery.opens);
+    logError(
+      `✗ Init keeps failing, even after wiping the session. Trying again ` +
+        `in ${Math.round(delay / 1000)}s (circuit opened ${recovery.opens} ` +
+        `time(s)). Check Chromium, restore a snapshot or POST /logout.`
+    );
+    connection.to("circuit_open", "init_failed", {
+      ...failure,
+      opens: recovery.opens,
+      retryInMs: delay,
+    });
+    startAfter(delay, "circuit_half_open");
+  }
+
+  // Closes the client, abandoning one that is still starting.
+  async function stopClient(reason) {
+    cancelRetry();
+    initGeneration++;
+    qrCodeData = null;
+    connection.to("reconnecting", reason);
+    await destroyClient();
+  }
+
+  // Replaces the client right away.
+  async function restartClient(reason) {
+    await stopClient(reason);
+    recovery.attempts = 0;
+    initializeClient(reason);
+  }
+
+  // Stops the client, lets `replace` change the profile on disk (e.g. a
+  // snapshot restore) and starts again from it.
+  async function replaceProfile(replace) {
+    if (isBusy()) throw apiError("RECONNECT_IN_PROGRESS");
+    pairing = null;
+    qrPendingSince = null;
+    await stopClient("profile_replaced");
+    try {
+      await replace(profileDir);
+    } finally {
+      recovery = newRecovery();
+      initializeClient("profile_replaced");
     }
+  }
 
-    killZombieChrome();
-    await new Promise((r) => setTimeout(r, 3000));
-    initializeClient();
-  }, 10000);
-}
+  // `reason` labels the reconnect for metrics and the state history;
+  // `details` only go to the history.
+  function scheduleReconnect(reason, details = {}) {
+    if (stopped || isBusy() || reconnectTimer) return;
 
-function healthCheck() {
-  if (!clientReady || isReconnecting || !client) return;
-
-  client
-    .getState()
-    .then((state) => {
-      if (state === "CONNECTED") {
-        if (consecutiveHealthFailures > 0) {
-          console.log(
-            `Health check recovered after ${consecutiveHealthFailures} failure(s)`
-          );
+    // A pending retry would start a second client.
+    cancelRetry();
+    connection.to("reconnecting", reason, details);
+    events.emit("reconnecting", sessionId, reason);
+    consecutiveHealthFailures = 0;
+    log(`Scheduling reconnect in ${RECONNECT_DELAY / 1000}s...`);
+
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      recovery.attempts = 0;
+      // A start still under way fails once its client is destroyed; this
+      // keeps that failure from scheduling a retry of its own.
+      initGeneration++;
+      await destroyClient();
+      await new Promise((r) => setTimeout(r, 3000));
+      initializeClient(reason);
+    }, RECONNECT_DELAY);
+  }
+
+  function healthCheck() {
+    if (!isReady() || !client) return;
+
+    client
+      .getState()
+      .then((state) => {
+        if (state === "CONNECTED") {
+          if (consecutiveHealthFailures > 0) {
+            log(
+              `Health check recovered after ${consecutiveHealthFailures} failure(s)`
+            );
+          }
+          consecutiveHealthFailures = 0;
+          return;
         }
-        consecutiveHealthFailures = 0;
+
+        consecutiveHealthFailures++;
+        log(
+          `Health check: state=${state} (${consecutiveHealthFailures}/${HEALTH_FAILURE_THRESHOLD})`
+        );
+
+        if (TERMINAL_STATES.has(state)) {
+          consecutiveHealthFailures = 0;
+          scheduleReconnect("terminal_state");
+        } else if (consecutiveHealthFailures >= HEALTH_FAILURE_THRESHOLD) {
+          log("Health check threshold reached, reconnecting...");
+          consecutiveHealthFailures = 0;
+          scheduleReconnect("health_check");
+        }
+      })
+      .catch((err) => {
+        consecutiveHealthFailures++;
+        logError(
+          `Health check error (${consecutiveHealthFailures}/${HEALTH_FAILURE_THRESHOLD}):`,
+          err.message
+        );
+
+        if (
+          consecutiveHealthFailures >= HEALTH_FAILURE_THRESHOLD &&
+          !isBusy()
+        ) {
+          log("Health check threshold reached, reconnecting...");
+          consecutiveHealthFailures = 0;
+          scheduleReconnect("health_check");
+        }
+      });
+  }
+
+  // Recycles the browser when it outgrows BROWSER_MAX_MEMORY_MB, or when
+  // the page stops answering: a hung renderer leaves getState (and so the
+  // health check) waiting forever instead of failing.
+  async function checkBrowser() {
+    if (checkingBrowser || isBusy() || !client) return;
+    checkingBrowser = true;
+    try {
+      const stats = await browser.sample();
+      if (!stats) return;
+
+      if (BROWSER_MAX_MEMORY > 0 && stats.memoryBytes > BROWSER_MAX_MEMORY) {
+        log(
+          `Chromium is using ${Math.round(stats.memoryBytes / 1024 / 1024)} MB ` +
+            `(limit ${settings.browserMaxMemoryMb} MB), recycling...`
+        );
+        scheduleReconnect("browser_memory");
         return;
       }
 
-      consecutiveHealthFailures++;
-      console.log(
-        `Health check: state=${state} (${consecutiveHealthFailures}/${HEALTH_FAILURE_THRESHOLD})`
-      );
-
-      if (TERMINAL_STATES.has(state)) {
-        consecutiveHealthFailures = 0;
-        scheduleReconnect();
-      } else if (consecutiveHealthFailures >= HEALTH_FAILURE_THRESHOLD) {
-        console.log("Health check threshold reached, reconnecting...");
-        consecutiveHealthFailures = 0;
-        scheduleReconnect();
+      if (!isReady() || !client.pupPage) return;
+      if (await chromium.responds(client.pupPage, BROWSER_RESPONSE_TIMEOUT)) {
+        unresponsiveChecks = 0;
+        return;
       }
-    })
-    .catch((err) => {
-      consecutiveHealthFailures++;
-      console.error(
-        `Health check error (${consecutiveHealthFailures}/${HEALTH_FAILURE_THRESHOLD}):`,
-        err.message
+      unresponsiveChecks++;
+      logError(
+        `Chromium did not respond within ${BROWSER_RESPONSE_TIMEOUT / 1000}s ` +
+          `(${unresponsiveChecks}/${BROWSER_UNRESPONSIVE_THRESHOLD})`
       );
-
-      if (
-        consecutiveHealthFailures >= HEALTH_FAILURE_THRESHOLD &&
-        !isReconnecting
-      ) {
-        console.log("Health check threshold reached, reconnecting...");
-        consecutiveHealthFailures = 0;
-        scheduleReconnect();
+      if (unresponsiveChecks >= BROWSER_UNRESPONSIVE_THRESHOLD) {
+        unresponsiveChecks = 0;
+        scheduleReconnect("browser_unresponsive");
       }
-    });
-}
+    } catch (err) {
+      logError("Chromium check failed:", err.message);
+    } finally {
+      checkingBrowser = false;
+    }
+  }
 
-async function initialize() {
-  console.log(`✓ Session data path: ${SESSION_DATA_PATH}`);
-  if (
-    !process.env.RAILWAY_VOLUME_MOUNT_PATH &&
-    process.env.RAILWAY_ENVIRONMENT
-  ) {
-    console.warn(
-      "⚠ Running on Railway WITHOUT a persistent volume mounted. " +
-        "Sessions will NOT survive deploys/restarts. " +
-        "Mount a volume at /app/.wwebjs_auth to fix this."
-    );
+  async function initialize() {
+    await initializeClient("startup");
+    healthInterval = setInterval(healthCheck, HEALTH_CHECK_INTERVAL);
+    browserInterval = setInterval(checkBrowser, BROWSER_CHECK_INTERVAL);
   }
 
-  await ensureSessionDir();
-  await initializeClient();
-  healthInterval = setInterval(healthCheck, HEALTH_CHECK_INTERVAL);
-}
+  function getClient() {
+    return client;
+  }
 
-function getClient() {
-  return client;
-}
+  function getStatus() {
+    return {
+      ready: isReady(),
+      state: connection.current(),
+      stateSince: connection.since(),
+      qrCode: qrCodeData,
+      reconnecting: isBusy(),
+      pairing: pairing && pairing.code ? pairingView() : null,
+      qrPendingSince,
+      consecutiveHealthFailures,
+      nextAttemptAt: nextAttemptAt
+        ? new Date(nextAttemptAt).toISOString()
+        : null,
+      // "half_open" while the attempt after an open circuit is running.
+      circuit: {
+        state: connection.is("circuit_open")
+          ? "open"
+          : recovery.opens > 0
+            ? "half_open"
+            : "closed",
+        opens: recovery.opens,
+      },
+      browser: browser.stats(),
+    };
+  }
 
-function getStatus() {
-  return {
-    ready: clientReady,
-    qrCode: qrCodeData,
-    reconnecting: isReconnecting,
-  };
-}
+  // A manual reconnect also leaves pairing-code mode and goes back to QR.
+  async function reconnect() {
+    if (isBusy()) {
+      throw apiError("RECONNECT_IN_PROGRESS");
+    }
+    pairing = null;
+    scheduleReconnect("manual");
+  }
+
+  function waitForPairingCode() {
+    return new Promise((resolve, reject) => {
+      const onCode = (id, code) => {
+        if (id !== sessionId) return;
+        events.off("pairing_code", onCode);
+        clearTimeout(timer);
+        resolve(code);
+      };
+      const timer = setTimeout(() => {
+        events.off("pairing_code", onCode);
+        reject(apiError("PAIRING_CODE_TIMEOUT"));
+      }, PAIRING_CODE_TIMEOUT);
+      events.on("pairing_code", onCode);
+    });
+  }
 
-async function reconnect() {
-  if (isReconnecting) {
-    throw new Error("Reconnection already in progress");
+  function pairingView() {
+    return {
+      phoneNumber: pairing.phoneNumber,
+      code: pairing.code,
+      expiresAt: new Date(pairing.codeAt + PAIRING_CODE_INTERVAL).toISOString(),
+    };
   }
-  scheduleReconnect();
-}
 
-async function logout() {
-  clientReady = false;
-  isReconnecting = true;
-  qrCodeData = null;
+  // Restarts the client to link by phone number instead of QR and resolves
+  // with the 8-character code to enter on that phone. A code still valid
+  // for the same number is returned without restarting.
+  async function requestPairingCode(phoneNumber) {
+    if (isReady()) throw apiError("ALREADY_CONNECTED");
+    if (isBusy()) throw apiError("RECONNECT_IN_PROGRESS");
+
+    if (
+      pairing &&
+      pairing.phoneNumber === phoneNumber &&
+      pairing.code &&
+      Date.now() - pairing.codeAt < PAIRING_CODE_INTERVAL
+    ) {
+      return pairingView();
+    }
+    // Already restarting for this number; wait for that code.
+    if (pairing && pairing.phoneNumber === phoneNumber && !pairing.code) {
+      await waitForPairingCode();
+      return pairingView();
+    }
 
-  if (client) {
+    log("Restarting to pair by phone number");
+    pairing = { phoneNumber, code: null, codeAt: null };
+    qrPendingSince = null;
     try {
-      await client.logout();
+      await restartClient("pairing_code");
     } catch (err) {
-      console.log("Error during logout:", err.message);
-      try {
-        await client.destroy();
-      } catch {
-        // Ignore
-      }
+      pairing = null;
+      throw err;
     }
-    client = null;
+    // The new client only starts after restartClient returns, so its code
+    // cannot arrive before this waits for it.
+    await waitForPairingCode();
+    return pairingView();
   }
 
-  killZombieChrome();
-
-  try {
-    await fs.rm(SESSION_DATA_PATH, { recursive: true, force: true });
-  } catch {
-    // Ignore
-  }
+  // Unlinks the device and deletes the profile, after snapshotting it. Used
+  // by logout (which then starts over with a fresh QR) and by session
+  // removal (which doesn't).
+  async function unlink(reason) {
+    connection.to("unlinking", reason);
+    qrCodeData = null;
+    qrPendingSince = null;
+    pairing = null;
+    cancelRetry();
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    initGeneration++;
 
-  initAttempts = 0;
-  isReconnecting = false;
-  setTimeout(initializeClient, 2000);
-}
+    await snapshotProfile(reason);
 
-async function shutdown() {
-  if (healthInterval) clearInterval(healthInterval);
-  if (reconnectTimer) clearTimeout(reconnectTimer);
+    if (client) {
+      await browser.sample().catch(() => {});
+      try {
+        await client.logout();
+      } catch (err) {
+        log("Error during logout:", err.message);
+        try {
+          await client.destroy();
+        } catch {
+          // Ignore
+        }
+      }
+      client = null;
+    }
+    await browser.kill();
 
-  if (client) {
     try {
-      await client.destroy();
+      await fs.rm(profileDir, { recursive: true, force: true });
     } catch {
       // Ignore
     }
+    await storage.deleteBackups(sessionId);
+    recovery = newRecovery();
+  }
+
+  async function logout() {
+    await unlink("logout");
+    retryInit(2000, "logged_out");
+  }
+
+  function stop() {
+    stopped = true;
+    if (healthInterval) clearInterval(healthInterval);
+    if (browserInterval) clearInterval(browserInterval);
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    if (retryTimer) clearTimeout(retryTimer);
+    if (snapshotTimer) clearTimeout(snapshotTimer);
+    healthInterval = null;
+    browserInterval = null;
+    reconnectTimer = null;
+    retryTimer = null;
+    snapshotTimer = null;
   }
 
-  killZombieChrome();
+  async function shutdown() {
+    stop();
+    connection.to("stopped", "shutdown");
+    await destroyClient();
+  }
+
+  async function remove() {
+    stop();
+    await unlink("remove");
+    connection.to("stopped", "removed");
+    await forget(sessionId);
+  }
+
+  return {
+    id: sessionId,
+    initialize,
+    getClient,
+    getStatus,
+    reconnect,
+    requestPairingCode,
+    replaceProfile,
+    logout,
+    shutdown,
+    remove,
+  };
 }
 
 module.exports = {
-  initialize,
-  getClient,
-  getStatus,
-  reconnect,
-  logout,
-  shutdown,
+  SESSION_DATA_PATH,
+  events,
+  serializeMessage,
+  senderNumber,
+  prepareDataPath,
+  createSession,
 };